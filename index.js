@@ -1,5 +1,8 @@
 require("dotenv").config();
 
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 const {
   Client,
@@ -17,7 +20,10 @@ const {
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
+  StringSelectMenuBuilder,
+  UserSelectMenuBuilder,
   AttachmentBuilder,
+  OverwriteType,
 } = require("discord.js");
 
 const REQUIRED_ENVS = ["DISCORD_TOKEN", "DISCORD_CLIENT_ID"];
@@ -35,6 +41,14 @@ let RUNTIME_MESSAGE_CONTENT_INTENT =
 const app = express();
 app.get("/", (_req, res) => res.status(200).send("ok"));
 app.get("/health", (_req, res) => res.status(200).json({ ok: true }));
+app.post(
+  "/webhooks/bug-tracker",
+  express.json({ limit: "1mb", verify: (req, _res, buf) => (req.rawBody = buf) }),
+  (req, res) => handleBugTrackerWebhook(req, res).catch((e) => {
+    console.error("[TRACKER WEBHOOK ERROR]", e);
+    if (!res.headersSent) res.status(500).json({ ok: false });
+  })
+);
 app.listen(PORT, () => console.log(`[WEB] Listening on :${PORT}`));
 
 function nowMs() {
@@ -56,6 +70,13 @@ function parseUserId(input) {
   if (m2) return m2[1];
   return null;
 }
+function formatDuration(ms) {
+  const total = Math.max(0, Math.round(Number(ms) / 60_000));
+  const d = Math.floor(total / 1440);
+  const h = Math.floor((total % 1440) / 60);
+  const m = total % 60;
+  return [d ? `${d}d` : null, h ? `${h}h` : null, `${m}m`].filter(Boolean).slice(0, 2).join(" ");
+}
 function makeMessageLink(guildId, channelId, messageId) {
   return `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
 }
@@ -89,24 +110,266 @@ function hasManageMessages(interaction) {
   }
 }
 
+const SCHEMA_PATH = path.join(__dirname, "schema.sql");
+const STORAGE_DRIVER = String(process.env.STORAGE_DRIVER || "auto").toLowerCase();
+const DATA_DIR = path.resolve(String(process.env.DATA_DIR || path.join(__dirname, "data")));
+const JSON_STORE_VERSION = 1;
+const JSON_MIGRATIONS = [
+  (d) => ({
+    settings: d.settings || {},
+    counters: d.counters || {},
+    tickets: d.tickets || {},
+    vouches: d.vouches || {},
+    bugs: d.bugs || {},
+  }),
+];
+
+function counterKey(guildId, name) {
+  return `${guildId}:${name}`;
+}
+function loadSqlMigrations() {
+  const raw = fs.readFileSync(SCHEMA_PATH, "utf8");
+  const parts = raw.split(/^--\s*migration:\s*(\d+)\s*$/m);
+  const out = [];
+  for (let i = 1; i < parts.length; i += 2) out.push({ version: Number(parts[i]), sql: parts[i + 1].trim() });
+  return out.sort((a, b) => a.version - b.version);
+}
+function createJsonStore(filePath) {
+  let data = { version: 0 };
+  let writeTimer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+      const backup = `${filePath}.corrupt-${nowMs()}`;
+      fs.copyFileSync(filePath, backup);
+      console.error(`[STORAGE] Could not parse ${filePath}, backed up to ${backup}`, e);
+      data = { version: 0 };
+    }
+  }
+  const from = Number(data.version) || 0;
+  for (let v = from; v < JSON_STORE_VERSION; v++) data = { ...JSON_MIGRATIONS[v](data), version: v + 1 };
+
+  function flush() {
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, filePath);
+  }
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      try {
+        flush();
+      } catch (e) {
+        console.error("[STORAGE] JSON write failed", e);
+      }
+    }, 500);
+  }
+  if (from < JSON_STORE_VERSION) scheduleWrite();
+
+  return {
+    name: `json (${filePath})`,
+    loadAll() {
+      return {
+        settings: Object.entries(data.settings),
+        counters: Object.entries(data.counters),
+        tickets: Object.entries(data.tickets),
+        vouches: Object.entries(data.vouches).flatMap(([guildId, items]) => Object.values(items).map((v) => [guildId, v])),
+        bugs: Object.entries(data.bugs).flatMap(([guildId, items]) => Object.values(items).map((b) => [guildId, b])),
+      };
+    },
+    saveSettings(guildId, settings) {
+      data.settings[guildId] = settings;
+      scheduleWrite();
+    },
+    saveCounter(guildId, name, value) {
+      data.counters[counterKey(guildId, name)] = value;
+      scheduleWrite();
+    },
+    saveTicket(channelId, ticket) {
+      data.tickets[channelId] = ticket;
+      scheduleWrite();
+    },
+    deleteTicket(channelId) {
+      delete data.tickets[channelId];
+      scheduleWrite();
+    },
+    saveVouch(guildId, vouch) {
+      (data.vouches[guildId] ||= {})[vouch.id] = vouch;
+      scheduleWrite();
+    },
+    deleteVouch(guildId, vouchId) {
+      if (data.vouches[guildId]) delete data.vouches[guildId][vouchId];
+      scheduleWrite();
+    },
+    saveBug(guildId, bug) {
+      (data.bugs[guildId] ||= {})[bug.id] = bug;
+      scheduleWrite();
+    },
+    deleteBug(guildId, bugId) {
+      if (data.bugs[guildId]) delete data.bugs[guildId][bugId];
+      scheduleWrite();
+    },
+    flush,
+  };
+}
+function createSqliteStore(filePath) {
+  const Database = require("better-sqlite3");
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+
+  db.exec("CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, applied_at_ms INTEGER NOT NULL)");
+  const applied = new Set(db.prepare("SELECT version FROM schema_migrations").all().map((r) => r.version));
+  for (const m of loadSqlMigrations()) {
+    if (applied.has(m.version)) continue;
+    db.transaction(() => {
+      db.exec(m.sql);
+      db.prepare("INSERT INTO schema_migrations (version, applied_at_ms) VALUES (?, ?)").run(m.version, nowMs());
+    })();
+    console.log(`[STORAGE] Applied migration ${m.version}`);
+  }
+
+  const q = {
+    settings: db.prepare("SELECT guild_id, data FROM guild_settings"),
+    counters: db.prepare("SELECT guild_id, name, value FROM counters"),
+    tickets: db.prepare("SELECT channel_id, data FROM tickets"),
+    vouches: db.prepare("SELECT guild_id, id, voucher_id, vouched_id, message, created_at_ms FROM vouches"),
+    bugs: db.prepare("SELECT guild_id, data FROM bugs"),
+    saveSettings: db.prepare(
+      "INSERT INTO guild_settings (guild_id, data, updated_at_ms) VALUES (?, ?, ?) ON CONFLICT (guild_id) DO UPDATE SET data = excluded.data, updated_at_ms = excluded.updated_at_ms"
+    ),
+    saveCounter: db.prepare(
+      "INSERT INTO counters (guild_id, name, value) VALUES (?, ?, ?) ON CONFLICT (guild_id, name) DO UPDATE SET value = excluded.value"
+    ),
+    saveTicket: db.prepare(
+      "INSERT INTO tickets (channel_id, guild_id, owner_id, status, created_at_ms, closed_at_ms, data) VALUES (?, ?, ?, ?, ?, ?, ?) ON CONFLICT (channel_id) DO UPDATE SET owner_id = excluded.owner_id, status = excluded.status, closed_at_ms = excluded.closed_at_ms, data = excluded.data"
+    ),
+    deleteTicket: db.prepare("DELETE FROM tickets WHERE channel_id = ?"),
+    saveVouch: db.prepare(
+      "INSERT OR REPLACE INTO vouches (guild_id, id, voucher_id, vouched_id, message, created_at_ms) VALUES (?, ?, ?, ?, ?, ?)"
+    ),
+    deleteVouch: db.prepare("DELETE FROM vouches WHERE guild_id = ? AND id = ?"),
+    saveBug: db.prepare(
+      "INSERT INTO bugs (guild_id, id, reporter_id, status, title, created_at_ms, updated_at_ms, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (guild_id, id) DO UPDATE SET reporter_id = excluded.reporter_id, status = excluded.status, title = excluded.title, updated_at_ms = excluded.updated_at_ms, data = excluded.data"
+    ),
+    deleteBug: db.prepare("DELETE FROM bugs WHERE guild_id = ? AND id = ?"),
+  };
+
+  return {
+    name: `sqlite (${filePath})`,
+    loadAll() {
+      return {
+        settings: q.settings.all().map((r) => [r.guild_id, JSON.parse(r.data)]),
+        counters: q.counters.all().map((r) => [counterKey(r.guild_id, r.name), r.value]),
+        tickets: q.tickets.all().map((r) => [r.channel_id, JSON.parse(r.data)]),
+        vouches: q.vouches.all().map((r) => [
+          r.guild_id,
+          { id: r.id, voucherId: r.voucher_id, vouchedId: r.vouched_id, message: r.message, createdAtMs: r.created_at_ms },
+        ]),
+        bugs: q.bugs.all().map((r) => [r.guild_id, JSON.parse(r.data)]),
+      };
+    },
+    saveSettings(guildId, settings) {
+      q.saveSettings.run(guildId, JSON.stringify(settings), nowMs());
+    },
+    saveCounter(guildId, name, value) {
+      q.saveCounter.run(guildId, name, value);
+    },
+    saveTicket(channelId, t) {
+      q.saveTicket.run(channelId, t.guildId, t.ownerId, t.status, t.createdAtMs, t.closedAtMs || 0, JSON.stringify(t));
+    },
+    deleteTicket(channelId) {
+      q.deleteTicket.run(channelId);
+    },
+    saveVouch(guildId, v) {
+      q.saveVouch.run(guildId, v.id, v.voucherId, v.vouchedId, v.message, v.createdAtMs);
+    },
+    deleteVouch(guildId, vouchId) {
+      q.deleteVouch.run(guildId, vouchId);
+    },
+    saveBug(guildId, b) {
+      q.saveBug.run(guildId, b.id, b.reporterId, b.status, b.title, b.createdAtMs, b.updatedAtMs, JSON.stringify(b));
+    },
+    deleteBug(guildId, bugId) {
+      q.deleteBug.run(guildId, bugId);
+    },
+    flush() {
+      db.pragma("wal_checkpoint(PASSIVE)");
+    },
+  };
+}
+function createStore() {
+  if (STORAGE_DRIVER === "json") return createJsonStore(path.join(DATA_DIR, "bot-data.json"));
+  try {
+    return createSqliteStore(path.join(DATA_DIR, "bot-data.sqlite"));
+  } catch (e) {
+    if (STORAGE_DRIVER === "sqlite") throw e;
+    const reason = e?.code === "MODULE_NOT_FOUND" ? "better-sqlite3 is not installed (npm install better-sqlite3)" : e?.message || e;
+    console.warn(`[STORAGE] SQLite unavailable: ${reason}. Falling back to the JSON file in ${DATA_DIR}.`);
+    return createJsonStore(path.join(DATA_DIR, "bot-data.json"));
+  }
+}
+
+let store = null;
+function persist(fn) {
+  if (!store) return;
+  try {
+    fn(store);
+  } catch (e) {
+    console.error("[STORAGE] Write failed", e);
+  }
+}
+
 const guildSettings = new Map();
 function getSettings(guildId) {
   return (
     guildSettings.get(guildId) || {
       log_channel_id: null,
       ticket_category_id: null,
-      ticket_counter: 0,
       ticket_staff_role_id: null,
+      ticket_transcript_channel_id: null,
+      ticket_close_grace_minutes: 0,
+      ticket_sla_minutes: 0,
+      ticket_inactivity_warn_hours: 0,
+      ticket_auto_close_hours: 0,
+      ticket_max_open_per_user: 0,
+      ticket_create_cooldown_minutes: 0,
+      ticket_blacklist: [],
+      ticket_claim_lock: false,
+      ticket_feedback_enabled: true,
+      ticket_dashboard_channel_id: null,
+      vouch_pair_cooldown_days: 0,
+      vouch_min_account_age_days: 0,
+      vouch_min_member_age_days: 0,
+      vouch_daily_cap: 0,
+      vouch_ring_detection: false,
+      ticket_dashboard_message_id: null,
       bug_input_channel_id: null,
       bug_board_channel_id: null,
       bug_board_message_id: null,
       bug_updates_channel_id: null,
+      bug_dm_optout_user_ids: [],
+      bug_workflow: null,
+      bug_report_template: null,
+      bug_tracker_repo: null,
+      bug_digest_enabled: false,
+      bug_digest_last_ms: 0,
+      bug_references_enabled: true,
+      bug_reference_cooldown_seconds: 300,
+      ticket_types: [],
     }
   );
 }
 function setSettings(guildId, patch) {
   const merged = { ...getSettings(guildId), ...patch };
   guildSettings.set(guildId, merged);
+  persist((st) => st.saveSettings(guildId, merged));
   return merged;
 }
 async function sendLog(guild, embed) {
@@ -120,10 +383,17 @@ async function sendLog(guild, embed) {
 }
 
 const tickets = new Map();
+const ticketCounters = new Map();
+function getTicketCounter(guildId) {
+  return ticketCounters.get(guildId) || 0;
+}
+function setTicketCounter(guildId, value) {
+  ticketCounters.set(guildId, value);
+  persist((st) => st.saveCounter(guildId, "ticket", value));
+}
 function nextTicketNumber(guildId) {
-  const s = getSettings(guildId);
-  const next = (Number(s.ticket_counter) || 0) + 1;
-  setSettings(guildId, { ticket_counter: next });
+  const next = getTicketCounter(guildId) + 1;
+  setTicketCounter(guildId, next);
   return next;
 }
 async function getMeMember(guild) {
@@ -131,7 +401,55 @@ async function getMeMember(guild) {
   if (cached) return cached;
   return await guild.members.fetchMe().catch(() => null);
 }
-async function findOrCreateTicketCategory(guild) {
+const TICKET_TYPE_MAX = 25;
+const TICKET_TYPE_MAX_QUESTIONS = 5;
+const DEFAULT_INTAKE_QUESTIONS = ["What do you need help with?"];
+const TICKET_CLOSE_BUTTON = "ticket_close";
+const TICKET_CLAIM_BUTTON = "ticket_claim";
+const TICKET_UNCLAIM_BUTTON = "ticket_unclaim";
+const TICKET_RATE_PREFIX = "ticket_rate:";
+const MODAL_TICKET_RATE_PREFIX = "modal_ticket_rate:";
+const MODAL_TICKET_CLOSE = "modal_ticket_close";
+const TICKET_CLOSE_GRACE_MAX_MINUTES = 10_080;
+
+function slugifyTicketTypeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 20);
+}
+function getTicketTypes(guildId) {
+  return getSettings(guildId).ticket_types || [];
+}
+function findTicketType(guildId, key) {
+  const raw = String(key || "").trim();
+  if (!raw) return null;
+  const slug = slugifyTicketTypeName(raw);
+  return getTicketTypes(guildId).find((t) => t.id === slug || t.name.toLowerCase() === raw.toLowerCase()) || null;
+}
+function upsertTicketType(guildId, type) {
+  const list = getTicketTypes(guildId).filter((t) => t.id !== type.id);
+  list.push(type);
+  setSettings(guildId, { ticket_types: list });
+  return type;
+}
+function removeTicketType(guildId, key) {
+  const type = findTicketType(guildId, key);
+  if (!type) return null;
+  setSettings(guildId, { ticket_types: getTicketTypes(guildId).filter((t) => t.id !== type.id) });
+  return type;
+}
+function ticketStaffRoleIds(guildId, ticket) {
+  const s = getSettings(guildId);
+  const type = ticket?.typeId ? getTicketTypes(guildId).find((t) => t.id === ticket.typeId) : null;
+  return [s.ticket_staff_role_id, type?.staff_role_id].filter(Boolean);
+}
+async function findOrCreateTicketCategory(guild, ticketType) {
+  if (ticketType?.category_id) {
+    const typed = await guild.channels.fetch(ticketType.category_id).catch(() => null);
+    if (typed && typed.type === ChannelType.GuildCategory) return typed;
+  }
   const s = getSettings(guild.id);
   if (s.ticket_category_id) {
     const existing = await guild.channels.fetch(s.ticket_category_id).catch(() => null);
@@ -149,16 +467,26 @@ async function findOrCreateTicketCategory(guild) {
 function getTicket(channelId) {
   return tickets.get(channelId) || null;
 }
-function isTicketStaffMember(guild, member) {
-  const s = getSettings(guild.id);
+function serializeTicket(t) {
+  return { ...t, assignedStaffIds: [...t.assignedStaffIds], addedUserIds: [...t.addedUserIds] };
+}
+function deserializeTicket(raw) {
+  return { ...raw, assignedStaffIds: new Set(raw.assignedStaffIds || []), addedUserIds: new Set(raw.addedUserIds || []) };
+}
+function saveTicket(channelId) {
+  const t = tickets.get(channelId);
+  if (!t) return;
+  persist((st) => st.saveTicket(channelId, serializeTicket(t)));
+}
+function isTicketStaffMember(guild, member, ticket) {
   if (!member) return false;
   if (member.permissions?.has(PermissionFlagsBits.ManageGuild)) return true;
-  if (s.ticket_staff_role_id && member.roles?.cache?.has(s.ticket_staff_role_id)) return true;
+  if (ticketStaffRoleIds(guild.id, ticket).some((id) => member.roles?.cache?.has(id))) return true;
   return false;
 }
 function canManageTicket(guild, member, ticket) {
   if (!member || !ticket) return false;
-  if (isTicketStaffMember(guild, member)) return true;
+  if (isTicketStaffMember(guild, member, ticket)) return true;
   if (ticket.ownerId === member.id) return true;
   if (ticket.assignedStaffIds?.has(member.id)) return true;
   return false;
@@ -176,11 +504,72 @@ async function grantTicketAccess(channel, userId) {
 async function revokeTicketAccess(channel, userId) {
   await channel.permissionOverwrites.delete(userId).catch(() => null);
 }
-async function createTicketChannel(guild, ownerMember, reasonText) {
-  const category = await findOrCreateTicketCategory(guild);
+function getTicketBlacklist(guildId) {
+  return getSettings(guildId).ticket_blacklist || [];
+}
+function getTicketBlacklistEntry(guildId, userId) {
+  return getTicketBlacklist(guildId).find((e) => e.userId === userId) || null;
+}
+function addTicketBlacklist(guildId, userId, byId, reason) {
+  const entry = { userId, byId, reason: clampText(reason || "", 300), atMs: nowMs() };
+  setSettings(guildId, { ticket_blacklist: [...getTicketBlacklist(guildId).filter((e) => e.userId !== userId), entry] });
+  return entry;
+}
+function removeTicketBlacklist(guildId, userId) {
+  const entry = getTicketBlacklistEntry(guildId, userId);
+  if (!entry) return null;
+  setSettings(guildId, { ticket_blacklist: getTicketBlacklist(guildId).filter((e) => e.userId !== userId) });
+  return entry;
+}
+function getOpenTicketsForUser(guildId, userId) {
+  return [...tickets.entries()]
+    .filter(([, t]) => t.guildId === guildId && t.ownerId === userId && t.status === "open")
+    .map(([channelId, t]) => ({ channelId, ...t }));
+}
+function checkTicketCreationAllowed(guild, member) {
+  const blacklisted = getTicketBlacklistEntry(guild.id, member.id);
+  if (blacklisted) {
+    return {
+      ok: false,
+      code: "blacklist",
+      reason: `You are not allowed to open tickets in this server.${blacklisted.reason ? `\n**Reason:** ${blacklisted.reason}` : ""}`,
+    };
+  }
+  if (isTicketStaffMember(guild, member)) return { ok: true };
+
   const s = getSettings(guild.id);
+  const open = getOpenTicketsForUser(guild.id, member.id);
+  const max = Number(s.ticket_max_open_per_user) || 0;
+  if (max && open.length >= max) {
+    return {
+      ok: false,
+      code: "limit",
+      reason: `You already have ${open.length} open ticket(s): ${open.map((t) => `<#${t.channelId}>`).join(", ")}\nPlease continue there.`,
+    };
+  }
+
+  const cooldownMs = (Number(s.ticket_create_cooldown_minutes) || 0) * 60_000;
+  if (cooldownMs) {
+    const last = Math.max(
+      0,
+      ...[...tickets.values()].filter((t) => t.guildId === guild.id && t.ownerId === member.id).map((t) => t.createdAtMs || 0)
+    );
+    if (last && nowMs() - last < cooldownMs) {
+      return {
+        ok: false,
+        code: "cooldown",
+        reason: `You can open another ticket <t:${Math.floor((last + cooldownMs) / 1000)}:R>.`,
+      };
+    }
+  }
+
+  return { ok: true };
+}
+async function createTicketChannel(guild, ownerMember, reasonText, ticketType = null, answers = []) {
+  const category = await findOrCreateTicketCategory(guild, ticketType);
+  const staffRoleIds = ticketStaffRoleIds(guild.id, ticketType ? { typeId: ticketType.id } : null);
   const num = nextTicketNumber(guild.id);
-  const channelName = `ticket-${String(num).padStart(4, "0")}`;
+  const channelName = `${ticketType?.prefix || "ticket"}-${String(num).padStart(4, "0")}`;
 
   const me = await getMeMember(guild);
   if (!me) throw new Error("Bot member not found in guild.");
@@ -208,9 +597,9 @@ async function createTicketChannel(guild, ownerMember, reasonText) {
     },
   ];
 
-  if (s.ticket_staff_role_id) {
+  for (const roleId of staffRoleIds) {
     overwrites.push({
-      id: s.ticket_staff_role_id,
+      id: roleId,
       allow: [
         PermissionFlagsBits.ViewChannel,
         PermissionFlagsBits.SendMessages,
@@ -232,324 +621,3029 @@ async function createTicketChannel(guild, ownerMember, reasonText) {
     guildId: guild.id,
     ownerId: ownerMember.id,
     status: "open",
+    typeId: ticketType?.id || null,
     createdAtMs: nowMs(),
     closedAtMs: 0,
+    lastActivityAtMs: nowMs(),
+    awaitingStaffSinceMs: nowMs(),
+    firstResponseAtMs: 0,
+    claimedById: null,
     assignedStaffIds: new Set(),
     addedUserIds: new Set(),
+    reason: reasonText ? clampText(reasonText, 900) : "",
+    answers: answers.map((a) => ({ question: a.question, answer: a.answer })),
   };
   tickets.set(ch.id, t);
 
-  const embed = new EmbedBuilder()
-    .setColor(0x5865f2)
-    .setTitle("🎫 Support Ticket Created")
-    .setDescription(
-      [
-        `**Owner:** <@${ownerMember.id}>`,
-        reasonText ? `**Reason:** ${clampText(reasonText, 900)}` : null,
-        "",
-        "A staff member will assist you here.",
-        "Use **/ticket close** when finished.",
-      ]
-        .filter(Boolean)
-        .join("\n")
-    )
-    .setTimestamp(new Date());
-
-  const staffPing = s.ticket_staff_role_id ? `<@&${s.ticket_staff_role_id}>` : "";
-  await ch
+  const staffPing = staffRoleIds.map((id) => `<@&${id}>`).join(" ");
+  const welcome = await ch
     .send({
       content: [staffPing, `<@${ownerMember.id}>`].filter(Boolean).join(" "),
-      embeds: [embed],
-      allowedMentions: { users: [ownerMember.id], roles: s.ticket_staff_role_id ? [s.ticket_staff_role_id] : [] },
+      embeds: [buildTicketWelcomeEmbed(t)],
+      components: buildTicketWelcomeComponents(t),
+      allowedMentions: { users: [ownerMember.id], roles: staffRoleIds },
     })
     .catch(() => null);
+  t.welcomeMessageId = welcome?.id || null;
+  saveTicket(ch.id);
 
   await sendLog(
     guild,
     new EmbedBuilder()
       .setColor(0x57f287)
       .setTitle("✅ Ticket Created")
-      .setDescription(`**Channel:** <#${ch.id}>\n**Owner:** <@${ownerMember.id}>`)
+      .setDescription(
+        [`**Channel:** <#${ch.id}>`, `**Owner:** <@${ownerMember.id}>`, ticketType ? `**Type:** ${clampText(ticketType.name, 80)}` : null]
+          .filter(Boolean)
+          .join("\n")
+      )
       .setTimestamp(new Date())
   );
 
+  await refreshTicketDashboard(guild).catch(() => null);
   return ch;
 }
-async function closeTicketChannel(guild, channel, closedById) {
+async function closeTicketChannel(guild, channel, closedById, reason = "") {
   const ticket = getTicket(channel.id);
   if (!ticket || ticket.guildId !== guild.id || ticket.status !== "open") {
     return { ok: false, reason: "This channel is not an open ticket." };
   }
 
+  const graceMinutes = Number(getSettings(guild.id).ticket_close_grace_minutes) || 0;
   ticket.status = "closed";
   ticket.closedAtMs = nowMs();
+  ticket.closedById = closedById;
+  ticket.closeReason = clampText(reason, 900);
+  ticket.deleteAtMs = ticket.closedAtMs + (graceMinutes ? graceMinutes * 60_000 : 10_000);
+  saveTicket(channel.id);
+
+  if (graceMinutes) {
+    for (const userId of [ticket.ownerId, ...ticket.addedUserIds]) await revokeTicketAccess(channel, userId);
+  }
 
   const embed = new EmbedBuilder()
     .setColor(0xed4245)
     .setTitle("🔒 Ticket Closed")
-    .setDescription("This channel will be deleted in **10 seconds**.")
+    .setDescription(
+      [
+        `**Closed by:** <@${closedById}>`,
+        ticket.closeReason ? `**Reason:** ${ticket.closeReason}` : null,
+        "",
+        graceMinutes
+          ? `Saving the transcript. This channel is locked and will be deleted <t:${Math.floor(ticket.deleteAtMs / 1000)}:R>. Staff can reopen it with **/ticket reopen** until then.`
+          : "Saving the transcript. This channel will be deleted in **10 seconds**.",
+      ]
+        .filter((l) => l !== null)
+        .join("\n")
+    )
     .setTimestamp(new Date());
 
   await channel.send({ embeds: [embed] }).catch(() => null);
 
+  const archived = await archiveTicketTranscript(guild, channel, ticket, closedById).catch((e) => {
+    console.error("[TRANSCRIPT ERROR]", e);
+    return null;
+  });
+
+  const metrics = getTicketMetrics(ticket);
   await sendLog(
     guild,
     new EmbedBuilder()
       .setColor(0xed4245)
       .setTitle("🔒 Ticket Closed")
-      .setDescription(`**Channel:** <#${channel.id}>\n**Closed by:** <@${closedById}>`)
+      .setDescription(
+        [
+          `**Channel:** <#${channel.id}>`,
+          `**Closed by:** <@${closedById}>`,
+          `**Reason:** ${ticket.closeReason || "(none)"}`,
+          `**First response:** ${metrics.firstResponseMs !== null ? formatDuration(metrics.firstResponseMs) : "(no staff reply)"}`,
+          `**Resolution time:** ${formatDuration(metrics.resolutionMs)}`,
+          graceMinutes ? `**Deletes:** <t:${Math.floor(ticket.deleteAtMs / 1000)}:R>` : null,
+          archived?.url ? `**Transcript:** ${archived.url}` : "**Transcript:** (not archived)",
+        ]
+          .filter(Boolean)
+          .join("\n")
+      )
       .setTimestamp(new Date())
   );
 
-  setTimeout(() => channel.delete("Ticket closed").catch(() => null), 10_000);
-  return { ok: true };
+  scheduleTicketDeletion(guild, channel.id);
+  await sendTicketFeedbackSurvey(guild, channel.id, ticket).catch(() => null);
+  await refreshTicketDashboard(guild).catch(() => null);
+  return { ok: true, graceMinutes };
 }
-async function buildTicketTranscript(channel, limit = 200) {
-  const fetched = await channel.messages.fetch({ limit }).catch(() => null);
-  if (!fetched) return "Transcript unavailable (missing permissions).";
-  const msgs = Array.from(fetched.values()).sort((a, b) => a.createdTimestamp - b.createdTimestamp);
-
-  const lines = [];
-  for (const m of msgs) {
-    const time = new Date(m.createdTimestamp).toISOString();
-    const author = m.author ? safeUserTag(m.author) : "unknown";
-    const content = (m.content || "").replace(/\r/g, "");
-    const attachments = [...m.attachments.values()].map((a) => a.url);
-    lines.push(`[${time}] ${author}: ${content}`);
-    if (attachments.length) for (const url of attachments.slice(0, 10)) lines.push(`  attachment: ${url}`);
-  }
-  return lines.join("\n");
+function scheduleTicketDeletion(guild, channelId) {
+  const ticket = getTicket(channelId);
+  if (!ticket?.deleteAtMs) return;
+  const delay = Math.max(0, ticket.deleteAtMs - nowMs());
+  if (delay > 2 ** 31 - 1) return;
+  setTimeout(() => deleteClosedTicketChannel(guild, channelId).catch(() => null), delay);
 }
+async function deleteClosedTicketChannel(guild, channelId) {
+  const ticket = getTicket(channelId);
+  if (!ticket || ticket.status !== "closed" || ticket.deletedAtMs) return false;
+  if (ticket.deleteAtMs && ticket.deleteAtMs > nowMs()) return false;
 
-const vouchStore = new Map();
-function getVouchData(guildId) {
-  if (!vouchStore.has(guildId)) vouchStore.set(guildId, { counter: 0, items: [] });
-  return vouchStore.get(guildId);
-}
-function addVouch(guildId, voucherId, vouchedId, message) {
-  const store = getVouchData(guildId);
-  const id = ++store.counter;
-  store.items.push({
-    id,
-    voucherId,
-    vouchedId,
-    message: String(message || "").slice(0, 900),
-    createdAtMs: nowMs(),
-  });
-  return id;
+  const ch = await guild.channels.fetch(channelId).catch(() => null);
+  if (ch) await ch.delete(ticket.closeReason ? `Ticket closed: ${clampText(ticket.closeReason, 400)}` : "Ticket closed").catch(() => null);
+
+  ticket.deletedAtMs = nowMs();
+  saveTicket(channelId);
+  return true;
 }
-function getVouchStats(guildId, userId) {
-  const store = getVouchData(guildId);
-  const received = store.items.filter((v) => v.vouchedId === userId);
-  const given = store.items.filter((v) => v.voucherId === userId);
-  return { received, given, total: store.items.length };
+async function sweepClosedTickets(c) {
+  for (const [channelId, t] of tickets) {
+    if (t.status !== "closed" || t.deletedAtMs || (t.deleteAtMs || 0) > nowMs()) continue;
+    const guild = c.guilds.cache.get(t.guildId);
+    if (guild) await deleteClosedTicketChannel(guild, channelId).catch(() => null);
+  }
 }
-function removeVouchById(guildId, vouchId) {
-  const store = getVouchData(guildId);
-  const idx = store.items.findIndex((v) => v.id === Number(vouchId));
-  if (idx === -1) return null;
-  const removed = store.items[idx];
-  store.items.splice(idx, 1);
-  return removed;
+function getTicketMetrics(ticket) {
+  return {
+    firstResponseMs: ticket.firstResponseAtMs ? ticket.firstResponseAtMs - ticket.createdAtMs : null,
+    resolutionMs: ticket.status === "closed" && ticket.closedAtMs ? ticket.closedAtMs - ticket.createdAtMs : null,
+  };
 }
-function topVouched(guildId, limit = 10) {
-  const store = getVouchData(guildId);
-  const counts = new Map();
-  for (const v of store.items) counts.set(v.vouchedId, (counts.get(v.vouchedId) || 0) + 1);
-  return Array.from(counts.entries())
-    .map(([userId, count]) => ({ userId, count }))
-    .sort((a, b) => b.count - a.count)
-    .slice(0, limit);
+function recordTicketMessage(channelId, ticket, { authorId, isStaff, atMs }) {
+  ticket.lastActivityAtMs = atMs;
+  ticket.inactivityWarnedAtMs = 0;
+  if (isStaff) {
+    if (!ticket.firstResponseAtMs) {
+      ticket.firstResponseAtMs = atMs;
+      ticket.firstResponderId = authorId;
+    }
+    ticket.responderIds = [...new Set([...(ticket.responderIds || []), authorId])];
+    ticket.lastStaffMessageAtMs = atMs;
+    ticket.awaitingStaffSinceMs = 0;
+  } else if (!ticket.awaitingStaffSinceMs) {
+    ticket.awaitingStaffSinceMs = atMs;
+  }
+  saveTicket(channelId);
 }
+async function checkTicketTimers(c) {
+  const now = nowMs();
+  for (const [channelId, t] of tickets) {
+    if (t.status !== "open") continue;
+    const guild = c.guilds.cache.get(t.guildId);
+    if (!guild) continue;
 
-const bugStore = new Map();
-const BUG_STATUSES = ["OPEN", "IN_PROGRESS", "WAITING", "CANT_FIX", "CANT_REPRODUCE", "RESOLVED"];
+    const s = getSettings(guild.id);
+    const slaMs = (Number(s.ticket_sla_minutes) || 0) * 60_000;
+    const warnMs = (Number(s.ticket_inactivity_warn_hours) || 0) * 3_600_000;
+    const closeMs = (Number(s.ticket_auto_close_hours) || 0) * 3_600_000;
+    const idleSince = t.lastActivityAtMs || t.createdAtMs;
+
+    const slaDue = slaMs && t.awaitingStaffSinceMs && now - t.awaitingStaffSinceMs >= slaMs && !(t.slaPingedAtMs >= t.awaitingStaffSinceMs);
+    const warnDue = warnMs && !t.inactivityWarnedAtMs && now - idleSince >= warnMs;
+    const closeDue = closeMs && (warnMs ? t.inactivityWarnedAtMs && now - t.inactivityWarnedAtMs >= closeMs : now - idleSince >= closeMs);
+    if (!slaDue && !warnDue && !closeDue) continue;
+
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel) continue;
+
+    if (closeDue) {
+      await closeTicketChannel(guild, channel, c.user.id, "Closed automatically after inactivity.").catch((e) =>
+        console.error("[TICKETS] Auto-close failed", e)
+      );
+      continue;
+    }
 
-function getBugStore(guildId) {
-  if (!bugStore.has(guildId)) bugStore.set(guildId, { counter: 0, items: new Map() });
-  return bugStore.get(guildId);
-}
-function bugStatusEmoji(status) {
-  switch (status) {
-    case "OPEN":
-      return "🟥";
-    case "IN_PROGRESS":
-      return "🟨";
-    case "WAITING":
-      return "🟦";
-    case "CANT_FIX":
-      return "⬛";
-    case "CANT_REPRODUCE":
-      return "🟪";
-    case "RESOLVED":
-      return "🟩";
-    default:
-      return "❔";
+    if (slaDue) {
+      t.slaPingedAtMs = now;
+      t.slaBreachCount = (t.slaBreachCount || 0) + 1;
+      saveTicket(channelId);
+
+      const roleIds = ticketStaffRoleIds(guild.id, t);
+      const userIds = [...t.assignedStaffIds];
+      await channel
+        .send({
+          content: [...roleIds.map((id) => `<@&${id}>`), ...userIds.map((id) => `<@${id}>`)].join(" ") || undefined,
+          embeds: [
+            new EmbedBuilder()
+              .setColor(0xfee75c)
+              .setTitle("⏰ Waiting for Staff")
+              .setDescription(`No staff reply for **${formatDuration(now - t.awaitingStaffSinceMs)}** (SLA: ${s.ticket_sla_minutes} min).`)
+              .setTimestamp(new Date()),
+          ],
+          allowedMentions: { roles: roleIds, users: userIds },
+        })
+        .catch(() => null);
+
+      await sendLog(
+        guild,
+        new EmbedBuilder()
+          .setColor(0xfee75c)
+          .setTitle("⏰ Ticket SLA Breached")
+          .setDescription(`**Channel:** <#${channelId}>\n**Waiting:** ${formatDuration(now - t.awaitingStaffSinceMs)}`)
+          .setTimestamp(new Date())
+      );
+    }
+
+    if (warnDue) {
+      t.inactivityWarnedAtMs = now;
+      saveTicket(channelId);
+
+      await channel
+        .send({
+          content: `<@${t.ownerId}>`,
+          embeds: [
+            new EmbedBuilder()
+              .setColor(0xfee75c)
+              .setTitle("💤 Ticket Inactive")
+              .setDescription(
+                [
+                  `This ticket has been inactive for **${formatDuration(now - idleSince)}**.`,
+                  closeMs
+                    ? `It will be closed automatically <t:${Math.floor((now + closeMs) / 1000)}:R> unless someone replies.`
+                    : "Reply here if you still need help, or close it when you are done.",
+                ].join("\n")
+              )
+              .setTimestamp(new Date()),
+          ],
+          allowedMentions: { users: [t.ownerId] },
+        })
+        .catch(() => null);
+    }
   }
 }
-function createBug(guildId, reporterId, title, description, sourceChannelId, sourceMessageId) {
-  const store = getBugStore(guildId);
-  const id = ++store.counter;
+async function reopenTicketChannel(guild, channel, reopenedById) {
+  const ticket = getTicket(channel.id);
+  if (!ticket || ticket.guildId !== guild.id || ticket.status !== "closed" || ticket.deletedAtMs) {
+    return { ok: false, reason: "This channel is not a closed ticket." };
+  }
 
-  const item = {
-    id,
-    reporterId,
-    title: String(title || "").trim() || "Untitled",
-    description: String(description || "").trim() || "(no description)",
-    status: "OPEN",
-    createdAtMs: nowMs(),
-    updatedAtMs: nowMs(),
-    sourceChannelId: sourceChannelId || null,
-    sourceMessageId: sourceMessageId || null,
-    sourceMessageUrl:
-      sourceChannelId && sourceMessageId ? makeMessageLink(guildId, sourceChannelId, sourceMessageId) : null,
-    assignedToId: null,
-    lastNote: "",
-    comments: [],
-  };
+  ticket.status = "open";
+  ticket.closedAtMs = 0;
+  ticket.deleteAtMs = 0;
+  ticket.reopenedAtMs = nowMs();
+  ticket.reopenCount = (ticket.reopenCount || 0) + 1;
+  ticket.lastActivityAtMs = nowMs();
+  ticket.inactivityWarnedAtMs = 0;
+  saveTicket(channel.id);
 
-  store.items.set(id, item);
-  return item;
-}
-function getBug(guildId, id) {
-  return getBugStore(guildId).items.get(Number(id)) || null;
-}
-function setBugStatus(guildId, id, status, assignedToId, note) {
-  const bug = getBug(guildId, id);
-  if (!bug) return null;
-  bug.status = status;
-  bug.updatedAtMs = nowMs();
-  if (assignedToId !== undefined) bug.assignedToId = assignedToId;
-  if (note) bug.lastNote = String(note).slice(0, 900);
-  return bug;
-}
-function addBugComment(guildId, id, byId, text) {
-  const bug = getBug(guildId, id);
-  if (!bug) return null;
-  const t = String(text || "").trim();
-  if (!t) return null;
-  bug.comments.push({ byId, text: t.slice(0, 900), atMs: nowMs() });
-  bug.updatedAtMs = nowMs();
-  return bug;
-}
-function reopenBug(guildId, id, note) {
-  const bug = getBug(guildId, id);
-  if (!bug) return null;
-  bug.status = "OPEN";
-  bug.updatedAtMs = nowMs();
-  if (note) bug.lastNote = String(note).slice(0, 900);
-  return bug;
-}
-function buildBugCardLine(bug) {
-  const link = bug.sourceMessageUrl ? bug.sourceMessageUrl : "(no link)";
-  const assigned = bug.assignedToId ? ` • <@${bug.assignedToId}>` : "";
-  return `${bugStatusEmoji(bug.status)} **#${bug.id}** ${clampText(bug.title, 60)} — **${bug.status}**${assigned}\n↳ ${link}`;
-}
-function buildBugBoardEmbed(guildId) {
-  const store = getBugStore(guildId);
-  const all = Array.from(store.items.values()).sort((a, b) => b.id - a.id);
+  for (const userId of [ticket.ownerId, ...ticket.addedUserIds]) await grantTicketAccess(channel, userId);
 
-  const open = all.filter((b) => b.status !== "RESOLVED");
-  const resolved = all.filter((b) => b.status === "RESOLVED");
+  const embed = new EmbedBuilder()
+    .setColor(0x57f287)
+    .setTitle("🔓 Ticket Reopened")
+    .setDescription(`Reopened by <@${reopenedById}>. <@${ticket.ownerId}> has access again.`)
+    .setTimestamp(new Date());
 
-  const show = all.slice(0, 20);
-  const lines = show.length ? show.map(buildBugCardLine) : ["No bug reports yet."];
+  await channel.send({ embeds: [embed], allowedMentions: { users: [ticket.ownerId] } }).catch(() => null);
 
-  return new EmbedBuilder()
-    .setColor(0xfee75c)
-    .setTitle("🐞 Bug Board")
+  await sendLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(0x57f287)
+      .setTitle("🔓 Ticket Reopened")
+      .setDescription(
+        [`**Channel:** <#${channel.id}>`, `**Reopened by:** <@${reopenedById}>`, ticket.closeReason ? `**Previous close reason:** ${ticket.closeReason}` : null]
+          .filter(Boolean)
+          .join("\n")
+      )
+      .setTimestamp(new Date())
+  );
+
+  await refreshTicketDashboard(guild).catch(() => null);
+  return { ok: true };
+}
+function buildTicketWelcomeEmbed(ticket) {
+  const ticketType = ticket.typeId ? getTicketTypes(ticket.guildId).find((t) => t.id === ticket.typeId) : null;
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(ticketType ? `🎫 ${clampText(ticketType.name, 80)} Ticket Created` : "🎫 Support Ticket Created")
     .setDescription(
       [
-        `**Open:** ${open.length} • **Resolved:** ${resolved.length} • **Total:** ${all.length}`,
-        "",
-        ...lines,
+        `**Owner:** <@${ticket.ownerId}>`,
+        ticketType ? `**Type:** ${clampText(ticketType.name, 80)}` : null,
+        ticket.reason ? `**Reason:** ${clampText(ticket.reason, 900)}` : null,
+        `**Claimed by:** ${ticket.claimedById ? `<@${ticket.claimedById}>` : "(unclaimed)"}`,
         "",
-        `**Message content capture:** ${RUNTIME_MESSAGE_CONTENT_INTENT ? "ON" : "OFF"}`,
-      ].join("\n")
-    )
-    .setTimestamp(new Date());
-}
+        "A staff member will assist you here.",
+        "Press **Close** or use **/ticket close** when finished.",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .setTimestamp(new Date(ticket.createdAtMs));
+  for (const a of (ticket.answers || []).slice(0, 25)) {
+    embed.addFields({ name: clampText(a.question, 256), value: clampText(a.answer || "_(no answer)_", 1024) });
+  }
+  return embed;
+}
+function buildTicketWelcomeComponents(ticket) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(ticket.claimedById ? TICKET_UNCLAIM_BUTTON : TICKET_CLAIM_BUTTON)
+        .setLabel(ticket.claimedById ? "Unclaim" : "Claim")
+        .setEmoji("🛡️")
+        .setStyle(ticket.claimedById ? ButtonStyle.Secondary : ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(TICKET_CLOSE_BUTTON).setLabel("Close").setEmoji("🔒").setStyle(ButtonStyle.Danger)
+    ),
+  ];
+}
+async function updateTicketClaimDisplay(guild, channel, ticket) {
+  if (!ticket.welcomeMessageId) return;
+  const msg = await channel.messages.fetch(ticket.welcomeMessageId).catch(() => null);
+  if (msg) await msg.edit({ embeds: [buildTicketWelcomeEmbed(ticket)], components: buildTicketWelcomeComponents(ticket) }).catch(() => null);
+}
+async function applyTicketClaimLock(guild, channel, ticket) {
+  const locked = Boolean(getSettings(guild.id).ticket_claim_lock && ticket.claimedById);
+  for (const roleId of ticketStaffRoleIds(guild.id, ticket)) {
+    await channel.permissionOverwrites.edit(roleId, { ViewChannel: true, SendMessages: !locked, ReadMessageHistory: true }).catch(() => null);
+  }
+  const memberIds = new Set([ticket.ownerId, ...(ticket.addedUserIds || [])]);
+  for (const staffId of ticket.assignedStaffIds || []) {
+    if (staffId === ticket.claimedById || memberIds.has(staffId)) continue;
+    if (!channel.permissionOverwrites.cache.has(staffId)) continue;
+    await channel.permissionOverwrites.edit(staffId, { SendMessages: !locked }).catch(() => null);
+  }
+  if (ticket.claimedById) await grantTicketAccess(channel, ticket.claimedById);
+}
+async function claimTicket(guild, channel, ticket, staffId) {
+  if (ticket.status !== "open") return { ok: false, reason: "This ticket is closed." };
+  if (ticket.claimedById === staffId) return { ok: false, reason: "You already claimed this ticket." };
+  if (ticket.claimedById) {
+    return { ok: false, reason: `Already claimed by <@${ticket.claimedById}>. Ask them to use **/ticket transfer**.` };
+  }
+
+  ticket.claimedById = staffId;
+  ticket.claimedAtMs = nowMs();
+  ticket.assignedStaffIds.add(staffId);
+  saveTicket(channel.id);
+
+  await applyTicketClaimLock(guild, channel, ticket);
+  await updateTicketClaimDisplay(guild, channel, ticket);
+  await refreshTicketDashboard(guild).catch(() => null);
+  return { ok: true };
+}
+async function unclaimTicket(guild, channel, ticket) {
+  if (!ticket.claimedById) return { ok: false, reason: "This ticket is not claimed." };
+  const previousId = ticket.claimedById;
+  ticket.claimedById = null;
+  ticket.claimedAtMs = 0;
+  saveTicket(channel.id);
+
+  await applyTicketClaimLock(guild, channel, ticket);
+  await updateTicketClaimDisplay(guild, channel, ticket);
+  await refreshTicketDashboard(guild).catch(() => null);
+  return { ok: true, previousId };
+}
+async function transferTicket(guild, channel, ticket, byId, toMember) {
+  if (ticket.status !== "open") return { ok: false, reason: "This ticket is closed." };
+  if (toMember.user?.bot) return { ok: false, reason: "You cannot transfer to a bot." };
+  if (!isTicketStaffMember(guild, toMember, ticket)) return { ok: false, reason: "That user is not staff for this ticket." };
+  if (ticket.claimedById === toMember.id) return { ok: false, reason: "That staff member already owns this ticket." };
+
+  const fromId = ticket.claimedById || null;
+  ticket.claimedById = toMember.id;
+  ticket.claimedAtMs = nowMs();
+  ticket.assignedStaffIds.add(toMember.id);
+  ticket.transfers = [...(ticket.transfers || []), { fromId, toId: toMember.id, byId, atMs: nowMs() }];
+  saveTicket(channel.id);
+
+  await applyTicketClaimLock(guild, channel, ticket);
+  await updateTicketClaimDisplay(guild, channel, ticket);
+
+  const mentions = [toMember.id, fromId].filter(Boolean);
+  await channel
+    .send({
+      content: mentions.map((id) => `<@${id}>`).join(" "),
+      embeds: [
+        new EmbedBuilder()
+          .setColor(0x5865f2)
+          .setTitle("🔁 Ticket Transferred")
+          .setDescription(
+            [fromId ? `**From:** <@${fromId}>` : "**From:** (unclaimed)", `**To:** <@${toMember.id}>`, `**By:** <@${byId}>`].join("\n")
+          )
+          .setTimestamp(new Date()),
+      ],
+      allowedMentions: { users: mentions },
+    })
+    .catch(() => null);
+
+  await toMember
+    .send(`🔁 Ticket <#${channel.id}> in **${guild.name}** was handed over to you by <@${byId}>.`)
+    .catch(() => null);
+
+  await sendLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle("🔁 Ticket Transferred")
+      .setDescription(
+        [`**Channel:** <#${channel.id}>`, `**From:** ${fromId ? `<@${fromId}>` : "(unclaimed)"}`, `**To:** <@${toMember.id}>`, `**By:** <@${byId}>`].join(
+          "\n"
+        )
+      )
+      .setTimestamp(new Date())
+  );
+
+  await refreshTicketDashboard(guild).catch(() => null);
+  return { ok: true, fromId };
+}
+function canUnclaimTicket(guild, member, ticket) {
+  if (!member || !ticket?.claimedById) return false;
+  return ticket.claimedById === member.id || Boolean(member.permissions?.has(PermissionFlagsBits.ManageGuild));
+}
+function ticketHandlerIds(ticket) {
+  return [...new Set([ticket.claimedById, ...(ticket.responderIds || []), ...(ticket.assignedStaffIds || [])].filter(Boolean))];
+}
+function computeTicketRatings(guildId) {
+  const rated = [...tickets.values()].filter((t) => t.guildId === guildId && t.rating);
+  const perStaff = new Map();
+  for (const t of rated) {
+    for (const id of t.rating.staffIds || []) {
+      const row = perStaff.get(id) || { userId: id, total: 0, count: 0 };
+      row.total += t.rating.stars;
+      row.count += 1;
+      perStaff.set(id, row);
+    }
+  }
+  return {
+    count: rated.length,
+    average: average(rated.map((t) => t.rating.stars)),
+    perStaff: [...perStaff.values()].map((r) => ({ ...r, average: r.total / r.count })).sort((a, b) => b.average - a.average || b.count - a.count),
+  };
+}
+function formatStars(value) {
+  const n = Math.round(Number(value) || 0);
+  return `${"★".repeat(n)}${"☆".repeat(Math.max(0, 5 - n))}`;
+}
+async function sendTicketFeedbackSurvey(guild, channelId, ticket) {
+  if (!getSettings(guild.id).ticket_feedback_enabled || ticket.rating) return false;
+  const owner = await guild.client.users.fetch(ticket.ownerId).catch(() => null);
+  if (!owner) return false;
+
+  const row = new ActionRowBuilder().addComponents(
+    [1, 2, 3, 4, 5].map((n) =>
+      new ButtonBuilder()
+        .setCustomId(`${TICKET_RATE_PREFIX}${guild.id}:${channelId}:${n}`)
+        .setLabel(`${n} ★`)
+        .setStyle(n >= 4 ? ButtonStyle.Success : n === 3 ? ButtonStyle.Secondary : ButtonStyle.Danger)
+    )
+  );
+
+  const sent = await owner
+    .send({
+      embeds: [
+        new EmbedBuilder()
+          .setColor(0xfee75c)
+          .setTitle("⭐ How did we do?")
+          .setDescription(`Your ticket in **${guild.name}** was closed. Please rate the support you received (1 = poor, 5 = excellent).`)
+          .setTimestamp(new Date()),
+      ],
+      components: [row],
+    })
+    .catch(() => null);
+  return Boolean(sent);
+}
+function recordTicketRating(channelId, ticket, stars, comment) {
+  ticket.rating = {
+    stars,
+    comment: clampText(comment || "", 900),
+    staffIds: ticketHandlerIds(ticket),
+    atMs: nowMs(),
+  };
+  saveTicket(channelId);
+  return ticket.rating;
+}
+function buildTicketRatingModal(guildId, channelId, stars) {
+  const comment = new TextInputBuilder()
+    .setCustomId("comment")
+    .setLabel("Anything you'd like to add? (optional)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false)
+    .setMaxLength(900);
+  return new ModalBuilder()
+    .setCustomId(`${MODAL_TICKET_RATE_PREFIX}${guildId}:${channelId}:${stars}`)
+    .setTitle(`Rate your ticket: ${stars}/5`)
+    .addComponents(new ActionRowBuilder().addComponents(comment));
+}
+function parseTicketRatingId(customId, prefix) {
+  const [guildId, channelId, starsRaw] = customId.slice(prefix.length).split(":");
+  const stars = Number(starsRaw);
+  if (!guildId || !channelId || !Number.isInteger(stars) || stars < 1 || stars > 5) return null;
+  return { guildId, channelId, stars };
+}
+function buildTicketCloseModal() {
+  const reason = new TextInputBuilder()
+    .setCustomId("reason")
+    .setLabel("Close reason")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(true)
+    .setMaxLength(900);
+  return new ModalBuilder()
+    .setCustomId(MODAL_TICKET_CLOSE)
+    .setTitle("Close this ticket?")
+    .addComponents(new ActionRowBuilder().addComponents(reason));
+}
+const TICKET_DASHBOARD_REFRESH = "ticket_dashboard_refresh";
+const DAY_MS = 86_400_000;
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+function computeTicketStats(guildId) {
+  const now = nowMs();
+  const all = [...tickets.entries()].filter(([, t]) => t.guildId === guildId).map(([channelId, t]) => ({ channelId, ...t }));
+  const open = all.filter((t) => t.status === "open");
+  const unclaimed = open.filter((t) => !t.claimedById);
+  const recent = all.filter((t) => t.createdAtMs >= now - 30 * DAY_MS);
+
+  const firstResponses = recent.filter((t) => t.firstResponseAtMs).map((t) => getTicketMetrics(t).firstResponseMs);
+  const resolutions = recent.filter((t) => t.status === "closed" && t.closedAtMs).map((t) => getTicketMetrics(t).resolutionMs);
+
+  const perStaff = new Map();
+  for (const t of recent) {
+    const handlers = new Set([...(t.responderIds || []), ...(t.assignedStaffIds || []), t.claimedById].filter(Boolean));
+    for (const id of handlers) {
+      const row = perStaff.get(id) || { userId: id, d7: 0, d30: 0 };
+      row.d30 += 1;
+      if (t.createdAtMs >= now - 7 * DAY_MS) row.d7 += 1;
+      perStaff.set(id, row);
+    }
+  }
+
+  const waiting = open
+    .filter((t) => t.awaitingStaffSinceMs)
+    .sort((a, b) => a.awaitingStaffSinceMs - b.awaitingStaffSinceMs)
+    .slice(0, 5);
+
+  return {
+    total: all.length,
+    open: open.length,
+    unclaimed: unclaimed.length,
+    opened7d: all.filter((t) => t.createdAtMs >= now - 7 * DAY_MS).length,
+    closed7d: all.filter((t) => t.status === "closed" && t.closedAtMs >= now - 7 * DAY_MS).length,
+    avgFirstResponseMs: average(firstResponses),
+    avgResolutionMs: average(resolutions),
+    perStaff: [...perStaff.values()].sort((a, b) => b.d30 - a.d30 || b.d7 - a.d7).slice(0, 10),
+    waiting,
+  };
+}
+function buildTicketStatsEmbed(guildId, title = "📊 Ticket Stats") {
+  const st = computeTicketStats(guildId);
+  const staffLines = st.perStaff.length
+    ? st.perStaff.map((r) => `<@${r.userId}> — **7d:** ${r.d7} • **30d:** ${r.d30}`)
+    : ["No staff activity in the last 30 days."];
+  const waitingLines = st.waiting.length
+    ? st.waiting.map(
+        (t) =>
+          `<#${t.channelId}> • <@${t.ownerId}> • waiting ${formatDuration(nowMs() - t.awaitingStaffSinceMs)} • [jump](https://discord.com/channels/${guildId}/${t.channelId})`
+      )
+    : ["Nobody is waiting for staff. 🎉"];
+
+  return new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(title)
+    .setDescription(
+      [
+        `**Open:** ${st.open} • **Unclaimed:** ${st.unclaimed} • **Total:** ${st.total}`,
+        `**Last 7 days:** ${st.opened7d} opened • ${st.closed7d} closed`,
+        `**Avg first response (30d):** ${st.avgFirstResponseMs !== null ? formatDuration(st.avgFirstResponseMs) : "(n/a)"}`,
+        `**Avg resolution (30d):** ${st.avgResolutionMs !== null ? formatDuration(st.avgResolutionMs) : "(n/a)"}`,
+        "",
+        "**Handled per staff:**",
+        ...staffLines,
+        "",
+        "**Oldest waiting:**",
+        ...waitingLines,
+      ].join("\n")
+    )
+    .setTimestamp(new Date());
+}
+function buildTicketDashboardComponents() {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(TICKET_DASHBOARD_REFRESH).setLabel("Refresh").setStyle(ButtonStyle.Secondary)
+    ),
+  ];
+}
+async function ensureTicketDashboardMessage(guild) {
+  const s = getSettings(guild.id);
+  if (!s.ticket_dashboard_channel_id) return null;
+
+  const ch = await guild.channels.fetch(s.ticket_dashboard_channel_id).catch(() => null);
+  if (!ch || !ch.isTextBased()) return null;
+
+  if (s.ticket_dashboard_message_id) {
+    const msg = await ch.messages.fetch(s.ticket_dashboard_message_id).catch(() => null);
+    if (msg) return msg;
+  }
+
+  const created = await ch
+    .send({ embeds: [buildTicketStatsEmbed(guild.id, "🎫 Ticket Dashboard")], components: buildTicketDashboardComponents() })
+    .catch(() => null);
+  if (!created) return null;
+
+  setSettings(guild.id, { ticket_dashboard_message_id: created.id });
+  return created;
+}
+async function refreshTicketDashboard(guild) {
+  const msg = await ensureTicketDashboardMessage(guild);
+  if (!msg) return false;
+  await msg
+    .edit({ embeds: [buildTicketStatsEmbed(guild.id, "🎫 Ticket Dashboard")], components: buildTicketDashboardComponents() })
+    .catch(() => null);
+  return true;
+}
+const TICKET_CHANNEL_RE = /^([a-z0-9-]+)-(\d+)$/;
+async function reconcileTickets(guild) {
+  const s = getSettings(guild.id);
+  const types = getTicketTypes(guild.id);
+  const categoryIds = new Set([s.ticket_category_id, ...types.map((t) => t.category_id)].filter(Boolean));
+  if (!categoryIds.size) return null;
+
+  const channels = await guild.channels.fetch().catch(() => null);
+  if (!channels) return null;
+  const me = await getMeMember(guild);
+
+  const summary = { restored: [], orphanChannels: [], staleRecords: [] };
+  let highest = getTicketCounter(guild.id);
+
+  for (const ch of channels.values()) {
+    if (!ch || ch.type !== ChannelType.GuildText || !categoryIds.has(ch.parentId)) continue;
+    const m = ch.name.match(TICKET_CHANNEL_RE);
+    if (!m) continue;
+    const type = types.find((t) => t.prefix === m[1]) || null;
+    if (!type && m[1] !== "ticket") continue;
+    highest = Math.max(highest, Number(m[2]) || 0);
+
+    const existing = getTicket(ch.id);
+    if (existing && existing.status === "open") continue;
+    if (existing && existing.status === "closed") {
+      if (!existing.deleteAtMs || existing.deleteAtMs <= nowMs()) await deleteClosedTicketChannel(guild, ch.id);
+      else scheduleTicketDeletion(guild, ch.id);
+      continue;
+    }
+
+    const memberIds = ch.permissionOverwrites.cache
+      .filter((o) => o.type === OverwriteType.Member && o.id !== me?.id && o.allow.has(PermissionFlagsBits.ViewChannel))
+      .map((o) => o.id);
+
+    const users = [];
+    const staff = [];
+    for (const id of memberIds) {
+      const member = await guild.members.fetch(id).catch(() => null);
+      if (!member || member.user?.bot) continue;
+      if (isTicketStaffMember(guild, member, { typeId: type?.id })) staff.push(id);
+      else users.push(id);
+    }
+
+    const ownerId = existing?.ownerId && users.includes(existing.ownerId) ? existing.ownerId : users[0];
+    if (!ownerId) {
+      summary.orphanChannels.push(ch.id);
+      continue;
+    }
+
+    tickets.set(ch.id, {
+      ...(existing || {}),
+      guildId: guild.id,
+      ownerId,
+      status: "open",
+      typeId: existing?.typeId || type?.id || null,
+      createdAtMs: existing?.createdAtMs || ch.createdTimestamp || nowMs(),
+      closedAtMs: 0,
+      lastActivityAtMs: nowMs(),
+      inactivityWarnedAtMs: 0,
+      assignedStaffIds: new Set(staff),
+      addedUserIds: new Set(users.filter((id) => id !== ownerId)),
+      rehydrated: true,
+    });
+    saveTicket(ch.id);
+    summary.restored.push(ch.id);
+  }
+
+  for (const [channelId, t] of tickets) {
+    if (t.guildId !== guild.id || t.status !== "open" || channels.has(channelId)) continue;
+    t.status = "closed";
+    t.closedAtMs = nowMs();
+    t.orphaned = true;
+    saveTicket(channelId);
+    summary.staleRecords.push(channelId);
+  }
+
+  if (highest > getTicketCounter(guild.id)) setTicketCounter(guild.id, highest);
+
+  if (summary.restored.length || summary.orphanChannels.length || summary.staleRecords.length) {
+    await sendLog(
+      guild,
+      new EmbedBuilder()
+        .setColor(summary.orphanChannels.length ? 0xfee75c : 0x5865f2)
+        .setTitle("🔁 Tickets Reconciled")
+        .setDescription(
+          [
+            `**Restored:** ${summary.restored.length}`,
+            summary.restored.length ? clampText(summary.restored.map((id) => `<#${id}>`).join(", "), 900) : null,
+            `**Orphan channels (no owner found):** ${summary.orphanChannels.length}`,
+            summary.orphanChannels.length ? clampText(summary.orphanChannels.map((id) => `<#${id}>`).join(", "), 900) : null,
+            `**Stale records closed (channel gone):** ${summary.staleRecords.length}`,
+            `**Ticket counter:** ${getTicketCounter(guild.id)}`,
+          ]
+            .filter(Boolean)
+            .join("\n")
+        )
+        .setTimestamp(new Date())
+    );
+  }
+
+  return summary;
+}
+const TRANSCRIPT_MAX_MESSAGES = 10_000;
+
+async function fetchAllMessages(channel, max = TRANSCRIPT_MAX_MESSAGES) {
+  const out = [];
+  let before;
+  while (out.length < max) {
+    const batch = await channel.messages.fetch({ limit: Math.min(100, max - out.length), before }).catch(() => null);
+    if (!batch) return out.length ? out : null;
+    if (!batch.size) break;
+    const values = [...batch.values()];
+    out.push(...values);
+    before = values.reduce((a, b) => (a.createdTimestamp < b.createdTimestamp ? a : b)).id;
+    if (batch.size < 100) break;
+  }
+  return out.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+function describeReaction(r) {
+  return `${r.emoji?.id ? `:${r.emoji.name}:` : r.emoji?.name || "?"} ${r.count}`;
+}
+function buildTicketTranscript(messages) {
+  if (!messages) return "Transcript unavailable (missing permissions).";
+
+  const lines = [];
+  for (const m of messages) {
+    const time = new Date(m.createdTimestamp).toISOString();
+    const author = m.author ? safeUserTag(m.author) : "unknown";
+    const content = (m.content || "").replace(/\r/g, "");
+    lines.push(`[${time}] ${author}: ${content}`);
+    for (const e of m.embeds) {
+      lines.push(`  embed: ${[e.title, e.description].filter(Boolean).join(" — ").replace(/\n/g, " ")}`);
+      for (const f of e.fields || []) lines.push(`    ${f.name}: ${String(f.value).replace(/\n/g, " ")}`);
+    }
+    for (const a of m.attachments.values()) lines.push(`  attachment: ${a.url}`);
+    const reactions = [...m.reactions.cache.values()];
+    if (reactions.length) lines.push(`  reactions: ${reactions.map(describeReaction).join(", ")}`);
+  }
+  return lines.join("\n");
+}
+function escapeHtml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+function buildTicketTranscriptHtml(guild, channel, ticket, messages) {
+  const rows = (messages || []).map((m) => {
+    const author = m.author ? safeUserTag(m.author) : "unknown";
+    const avatar = m.author?.displayAvatarURL?.({ size: 64 }) || "";
+    const embeds = m.embeds
+      .map((e) => {
+        const color = e.color ? `#${e.color.toString(16).padStart(6, "0")}` : "#4f545c";
+        const fields = (e.fields || [])
+          .map((f) => `<div class="field"><div class="fname">${escapeHtml(f.name)}</div><div>${escapeHtml(f.value)}</div></div>`)
+          .join("");
+        return `<div class="embed" style="border-color:${color}">${e.title ? `<div class="etitle">${escapeHtml(e.title)}</div>` : ""}${
+          e.description ? `<div>${escapeHtml(e.description)}</div>` : ""
+        }${fields}</div>`;
+      })
+      .join("");
+    const attachments = [...m.attachments.values()]
+      .map((a) =>
+        a.contentType?.startsWith("image/")
+          ? `<a href="${escapeHtml(a.url)}"><img class="img" src="${escapeHtml(a.url)}" alt="${escapeHtml(a.name)}"></a>`
+          : `<a class="file" href="${escapeHtml(a.url)}">📎 ${escapeHtml(a.name)} (${Math.ceil((a.size || 0) / 1024)} KB)</a>`
+      )
+      .join("");
+    const reactions = [...m.reactions.cache.values()].map((r) => `<span class="reaction">${escapeHtml(describeReaction(r))}</span>`).join("");
+
+    return `<div class="msg"><img class="avatar" src="${escapeHtml(avatar)}" alt=""><div class="body"><div><span class="author">${escapeHtml(
+      author
+    )}</span><span class="time">${new Date(m.createdTimestamp).toISOString()}</span></div>${
+      m.content ? `<div class="content">${escapeHtml(m.content)}</div>` : ""
+    }${embeds}${attachments}${reactions ? `<div>${reactions}</div>` : ""}</div></div>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(`#${channel.name} — ${guild.name}`)}</title>
+<style>
+body{background:#313338;color:#dbdee1;font-family:"gg sans","Segoe UI",Helvetica,Arial,sans-serif;margin:0;padding:24px}
+header{border-bottom:1px solid #3f4147;margin-bottom:16px;padding-bottom:12px}
+h1{font-size:20px;margin:0 0 6px}
+.meta{color:#949ba4;font-size:13px}
+.msg{display:flex;gap:12px;padding:6px 0}
+.avatar{width:40px;height:40px;border-radius:50%;background:#1e1f22;flex-shrink:0}
+.body{min-width:0}
+.author{font-weight:600;color:#f2f3f5;margin-right:8px}
+.time{color:#949ba4;font-size:12px}
+.content{white-space:pre-wrap;word-wrap:break-word}
+.embed{border-left:4px solid;background:#2b2d31;border-radius:4px;padding:8px 12px;margin-top:4px;max-width:520px;white-space:pre-wrap}
+.etitle,.fname{font-weight:600;color:#f2f3f5}
+.field{margin-top:6px}
+.img{max-width:400px;max-height:300px;border-radius:4px;margin-top:4px;display:block}
+.file{display:inline-block;background:#2b2d31;border-radius:4px;padding:6px 10px;margin-top:4px;color:#00a8fc}
+.reaction{display:inline-block;background:#2b2d31;border-radius:8px;padding:2px 6px;margin:4px 4px 0 0;font-size:13px}
+</style></head><body>
+<header><h1>#${escapeHtml(channel.name)}</h1><div class="meta">${escapeHtml(guild.name)} • Owner ID ${escapeHtml(ticket?.ownerId || "unknown")} • Opened ${
+    ticket?.createdAtMs ? new Date(ticket.createdAtMs).toISOString() : "unknown"
+  } • ${messages ? messages.length : 0} message(s) • Exported ${new Date().toISOString()}</div></header>
+${messages ? rows.join("\n") : "<p>Transcript unavailable (missing permissions).</p>"}
+</body></html>`;
+}
+async function buildTicketTranscriptFiles(guild, channel, ticket, max = TRANSCRIPT_MAX_MESSAGES) {
+  const messages = await fetchAllMessages(channel, max);
+  return {
+    count: messages ? messages.length : 0,
+    files: [
+      new AttachmentBuilder(Buffer.from(buildTicketTranscriptHtml(guild, channel, ticket, messages), "utf8"), {
+        name: `${channel.name}-transcript.html`,
+      }),
+      new AttachmentBuilder(Buffer.from(buildTicketTranscript(messages), "utf8"), { name: `${channel.name}-transcript.txt` }),
+    ],
+  };
+}
+async function archiveTicketTranscript(guild, channel, ticket, closedById) {
+  const { count, files } = await buildTicketTranscriptFiles(guild, channel, ticket);
+  const s = getSettings(guild.id);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle("📄 Ticket Transcript")
+    .setDescription(
+      [
+        `**Ticket:** #${channel.name}`,
+        `**Owner:** <@${ticket.ownerId}>`,
+        closedById ? `**Closed by:** <@${closedById}>` : null,
+        `**Messages:** ${count}`,
+        `**Opened:** <t:${Math.floor(ticket.createdAtMs / 1000)}:f>`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .setTimestamp(new Date());
+
+  const archiveChannelId = s.ticket_transcript_channel_id || s.log_channel_id;
+  if (archiveChannelId) {
+    const ch = await guild.channels.fetch(archiveChannelId).catch(() => null);
+    if (ch && ch.isTextBased()) {
+      const posted = await ch.send({ embeds: [embed], files }).catch(() => null);
+      if (posted) {
+        ticket.transcriptMessageUrl = makeMessageLink(guild.id, ch.id, posted.id);
+        saveTicket(channel.id);
+      }
+    }
+  }
+
+  const owner = await guild.client.users.fetch(ticket.ownerId).catch(() => null);
+  if (owner) {
+    await owner
+      .send({
+        content: `Here is the transcript of your ticket **#${channel.name}** in **${guild.name}**.`,
+        embeds: [embed],
+        files,
+      })
+      .catch(() => null);
+  }
+
+  return { count, url: ticket.transcriptMessageUrl || null };
+}
+
+const vouchStore = new Map();
+function getVouchData(guildId) {
+  if (!vouchStore.has(guildId)) vouchStore.set(guildId, { counter: 0, items: [] });
+  return vouchStore.get(guildId);
+}
+function addVouch(guildId, voucherId, vouchedId, message) {
+  const store = getVouchData(guildId);
+  const id = ++store.counter;
+  const item = {
+    id,
+    voucherId,
+    vouchedId,
+    message: String(message || "").slice(0, 900),
+    createdAtMs: nowMs(),
+  };
+  store.items.push(item);
+  persist((st) => {
+    st.saveCounter(guildId, "vouch", store.counter);
+    st.saveVouch(guildId, item);
+  });
+  return id;
+}
+const VOUCH_RING_WINDOW_MS = 30 * 86_400_000;
+const VOUCH_RING_MAX_HOPS = 3;
+
+function findVouchChain(guildId, fromId, toId) {
+  const since = nowMs() - VOUCH_RING_WINDOW_MS;
+  const edges = new Map();
+  for (const v of getVouchData(guildId).items) {
+    if (v.createdAtMs < since) continue;
+    if (!edges.has(v.voucherId)) edges.set(v.voucherId, new Set());
+    edges.get(v.voucherId).add(v.vouchedId);
+  }
+  let frontier = [[fromId]];
+  const seen = new Set([fromId]);
+  for (let hop = 0; hop < VOUCH_RING_MAX_HOPS && frontier.length; hop++) {
+    const next = [];
+    for (const chain of frontier) {
+      for (const userId of edges.get(chain[chain.length - 1]) || []) {
+        if (userId === toId) return [...chain, userId];
+        if (!seen.has(userId)) {
+          seen.add(userId);
+          next.push([...chain, userId]);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+function checkVouchAllowed(guild, member, targetId) {
+  const s = getSettings(guild.id);
+  const now = nowMs();
+  const DAY = 86_400_000;
+
+  const minAccountDays = Number(s.vouch_min_account_age_days) || 0;
+  const accountAgeMs = now - (member.user?.createdTimestamp || 0);
+  if (minAccountDays && accountAgeMs < minAccountDays * DAY) {
+    return { ok: false, code: "account_age", reason: `Your account must be at least ${minAccountDays} day(s) old to vouch.` };
+  }
+  const minMemberDays = Number(s.vouch_min_member_age_days) || 0;
+  const memberAgeMs = now - (member.joinedTimestamp || now);
+  if (minMemberDays && memberAgeMs < minMemberDays * DAY) {
+    return {
+      ok: false,
+      code: "member_age",
+      reason: `You must be in this server for at least ${minMemberDays} day(s) to vouch. You can vouch <t:${Math.floor((member.joinedTimestamp + minMemberDays * DAY) / 1000)}:R>.`,
+    };
+  }
+
+  const items = getVouchData(guild.id).items;
+  const pairDays = Number(s.vouch_pair_cooldown_days) || 0;
+  const lastPair = items.filter((v) => v.voucherId === member.id && v.vouchedId === targetId).sort((a, b) => b.createdAtMs - a.createdAtMs)[0];
+  if (lastPair && pairDays < 0) {
+    return { ok: false, code: "pair", reason: `You already vouched for <@${targetId}> (vouch #${lastPair.id}).` };
+  }
+  if (lastPair && now - lastPair.createdAtMs < pairDays * DAY) {
+    return {
+      ok: false,
+      code: "pair_cooldown",
+      reason: `You can vouch for <@${targetId}> again <t:${Math.floor((lastPair.createdAtMs + pairDays * DAY) / 1000)}:R>.`,
+    };
+  }
+
+  const cap = Number(s.vouch_daily_cap) || 0;
+  const today = items.filter((v) => v.voucherId === member.id && now - v.createdAtMs < DAY);
+  if (cap && today.length >= cap) {
+    const oldest = Math.min(...today.map((v) => v.createdAtMs));
+    return { ok: false, code: "daily_cap", reason: `You can give ${cap} vouch(es) per 24 hours. Next one <t:${Math.floor((oldest + DAY) / 1000)}:R>.` };
+  }
+
+  if (s.vouch_ring_detection) {
+    const chain = findVouchChain(guild.id, targetId, member.id);
+    if (chain) {
+      const reciprocal = chain.length === 2;
+      return {
+        ok: false,
+        code: reciprocal ? "reciprocal" : "ring",
+        reason: reciprocal
+          ? `<@${targetId}> recently vouched for you, so vouching back is not allowed.`
+          : "This vouch would close a ring of users vouching for each other, which is not allowed.",
+        chain,
+      };
+    }
+  }
+  return { ok: true };
+}
+function getVouchStats(guildId, userId) {
+  const store = getVouchData(guildId);
+  const received = store.items.filter((v) => v.vouchedId === userId);
+  const given = store.items.filter((v) => v.voucherId === userId);
+  return { received, given, total: store.items.length };
+}
+function removeVouchById(guildId, vouchId) {
+  const store = getVouchData(guildId);
+  const idx = store.items.findIndex((v) => v.id === Number(vouchId));
+  if (idx === -1) return null;
+  const removed = store.items[idx];
+  store.items.splice(idx, 1);
+  persist((st) => st.deleteVouch(guildId, removed.id));
+  return removed;
+}
+function topVouched(guildId, limit = 10) {
+  const store = getVouchData(guildId);
+  const counts = new Map();
+  for (const v of store.items) counts.set(v.vouchedId, (counts.get(v.vouchedId) || 0) + 1);
+  return Array.from(counts.entries())
+    .map(([userId, count]) => ({ userId, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+const bugStore = new Map();
+const DEFAULT_BUG_STATUSES = [
+  { name: "OPEN", emoji: "🟥", color: 0xed4245, closed: false },
+  { name: "IN_PROGRESS", emoji: "🟨", color: 0xfee75c, closed: false },
+  { name: "WAITING", emoji: "🟦", color: 0x5865f2, closed: false },
+  { name: "CANT_FIX", emoji: "⬛", color: 0x23272a, closed: true },
+  { name: "CANT_REPRODUCE", emoji: "🟪", color: 0x9b59b6, closed: true },
+  { name: "RESOLVED", emoji: "🟩", color: 0x57f287, closed: true },
+  { name: "DUPLICATE", emoji: "🔁", color: 0x99aab5, closed: true },
+];
+const BUG_SYSTEM_STATUSES = ["OPEN", "DUPLICATE"];
+const BUG_STATUS_MAX = 20;
+const BUG_STATUS_NAME_RE = /^[A-Z][A-Z0-9_]{1,19}$/;
+
+function getBugStore(guildId) {
+  if (!bugStore.has(guildId)) bugStore.set(guildId, { counter: 0, items: new Map(), trash: new Map() });
+  return bugStore.get(guildId);
+}
+function saveBug(guildId, bug) {
+  persist((st) => st.saveBug(guildId, bug));
+}
+function getBugWorkflow(guildId) {
+  const saved = getSettings(guildId).bug_workflow || {};
+  return {
+    statuses: saved.statuses?.length ? saved.statuses : DEFAULT_BUG_STATUSES,
+    transitions: saved.transitions || {},
+    noteRequired: saved.noteRequired || [],
+  };
+}
+function setBugWorkflow(guildId, patch) {
+  const current = getSettings(guildId).bug_workflow || {};
+  setSettings(guildId, { bug_workflow: { ...current, ...patch } });
+}
+function getBugStatuses(guildId) {
+  return getBugWorkflow(guildId).statuses.map((st) => st.name);
+}
+function getBugStatusDef(guildId, status) {
+  return getBugWorkflow(guildId).statuses.find((st) => st.name === status) || null;
+}
+function normalizeBugStatusName(name) {
+  return String(name || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[\s-]+/g, "_");
+}
+function bugStatusEmoji(status, guildId) {
+  return getBugStatusDef(guildId, status)?.emoji || "❔";
+}
+function bugStatusColor(status, guildId) {
+  return getBugStatusDef(guildId, status)?.color ?? 0x5865f2;
+}
+function isBugClosedStatus(guildId, status) {
+  return Boolean(getBugStatusDef(guildId, status)?.closed);
+}
+function getAllowedBugTransitions(guildId, from) {
+  const { transitions } = getBugWorkflow(guildId);
+  const statuses = getBugStatuses(guildId);
+  return transitions[from] ? statuses.filter((st) => transitions[from].includes(st)) : statuses;
+}
+function bugNoteRequired(guildId, status) {
+  return getBugWorkflow(guildId).noteRequired.includes(status);
+}
+function parseHexColor(raw) {
+  const m = String(raw || "").trim().match(/^#?([0-9a-f]{6})$/i);
+  return m ? parseInt(m[1], 16) : null;
+}
+function parseStatusEmoji(raw) {
+  const value = String(raw || "").trim();
+  if (/^<a?:\w{2,32}:\d{17,20}>$/.test(value)) return value;
+  const unicode = /^(?:\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]*(?:\u200D\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]*)*)$/u;
+  return unicode.test(value) ? value : null;
+}
+function upsertBugStatus(guildId, def) {
+  const statuses = getBugWorkflow(guildId).statuses.map((st) => ({ ...st }));
+  const idx = statuses.findIndex((st) => st.name === def.name);
+  if (idx === -1) statuses.push(def);
+  else statuses[idx] = { ...statuses[idx], ...def };
+  setBugWorkflow(guildId, { statuses });
+  return statuses.find((st) => st.name === def.name);
+}
+function removeBugStatus(guildId, name) {
+  if (BUG_SYSTEM_STATUSES.includes(name)) return `**${name}** is a built-in status and cannot be removed.`;
+  const workflow = getBugWorkflow(guildId);
+  if (!workflow.statuses.some((st) => st.name === name)) return `Status **${name}** does not exist.`;
+  const inUse = Array.from(getBugStore(guildId).items.values()).filter((b) => b.status === name).length;
+  if (inUse) return `${inUse} bug(s) are still **${name}**. Move them to another status first.`;
+
+  const transitions = {};
+  for (const [from, to] of Object.entries(workflow.transitions)) {
+    if (from !== name) transitions[from] = to.filter((st) => st !== name);
+  }
+  setBugWorkflow(guildId, {
+    statuses: workflow.statuses.filter((st) => st.name !== name),
+    transitions,
+    noteRequired: workflow.noteRequired.filter((st) => st !== name),
+  });
+  return null;
+}
+function setBugTransitions(guildId, from, to) {
+  const transitions = { ...getBugWorkflow(guildId).transitions };
+  if (to === null) delete transitions[from];
+  else transitions[from] = to;
+  setBugWorkflow(guildId, { transitions });
+}
+function setBugNoteRequired(guildId, name, required) {
+  const others = getBugWorkflow(guildId).noteRequired.filter((st) => st !== name);
+  setBugWorkflow(guildId, { noteRequired: required ? [...others, name] : others });
+}
+function describeBugStatus(guildId, def) {
+  const { transitions } = getBugWorkflow(guildId);
+  return [
+    `${def.emoji} **${def.name}** • #${def.color.toString(16).padStart(6, "0")}`,
+    def.closed ? "closed" : "open",
+    bugNoteRequired(guildId, def.name) ? "note required" : null,
+    `→ ${transitions[def.name] ? transitions[def.name].join(", ") || "(terminal)" : "any"}`,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+function validateBugStatusChange(guildId, bug, to, note) {
+  if (!getBugStatusDef(guildId, to)) return `Unknown status **${to}**. See **/bugstatus list**.`;
+  if (bug.status !== to && !getAllowedBugTransitions(guildId, bug.status).includes(to)) {
+    return `Bug #${bug.id} cannot move from **${bug.status}** to **${to}**. Allowed: ${getAllowedBugTransitions(guildId, bug.status).join(", ") || "(none)"}.`;
+  }
+  if (bugNoteRequired(guildId, to) && !String(note || "").trim()) return `Moving a bug to **${to}** requires a note.`;
+  return null;
+}
+function createBug(guildId, reporterId, title, description, sourceChannelId, sourceMessageId, { fields = [], attachments = [] } = {}) {
+  const store = getBugStore(guildId);
+  const id = ++store.counter;
+
+  const item = {
+    id,
+    guildId,
+    reporterId,
+    title: String(title || "").trim() || "Untitled",
+    description: String(description || "").trim() || "(no description)",
+    fields,
+    attachments,
+    status: "OPEN",
+    createdAtMs: nowMs(),
+    updatedAtMs: nowMs(),
+    sourceChannelId: sourceChannelId || null,
+    sourceMessageId: sourceMessageId || null,
+    sourceMessageUrl:
+      sourceChannelId && sourceMessageId ? makeMessageLink(guildId, sourceChannelId, sourceMessageId) : null,
+    assignedToId: null,
+    priority: null,
+    severity: null,
+    component: null,
+    labels: [],
+    lastNote: "",
+    comments: [],
+    watcherIds: [reporterId],
+    duplicateOfId: null,
+    duplicateIds: [],
+    history: [],
+  };
+  recordBugEvent(item, "created", reporterId, { status: item.status });
+
+  store.items.set(id, item);
+  persist((st) => st.saveCounter(guildId, "bug", store.counter));
+  saveBug(guildId, item);
+  return item;
+}
+const BUG_PRIORITIES = ["P0", "P1", "P2", "P3"];
+const BUG_SEVERITIES = ["CRITICAL", "MAJOR", "MINOR", "TRIVIAL"];
+const BUG_MAX_LABELS = 10;
+
+function normalizeBugLabel(label) {
+  return String(label || "")
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9_\-.]/g, "")
+    .slice(0, 30);
+}
+function bugPriorityRank(priority) {
+  const idx = BUG_PRIORITIES.indexOf(priority);
+  return idx === -1 ? 2 : idx;
+}
+function bugSeverityRank(severity) {
+  const idx = BUG_SEVERITIES.indexOf(severity);
+  return idx === -1 ? 2 : idx;
+}
+function compareBugsByUrgency(a, b) {
+  return (
+    Number(isBugClosedStatus(a.guildId, a.status)) - Number(isBugClosedStatus(b.guildId, b.status)) ||
+    bugPriorityRank(a.priority) - bugPriorityRank(b.priority) ||
+    bugSeverityRank(a.severity) - bugSeverityRank(b.severity) ||
+    b.id - a.id
+  );
+}
+const BUG_SORTS = {
+  newest: (a, b) => b.id - a.id,
+  oldest: (a, b) => a.id - b.id,
+  updated: (a, b) => b.updatedAtMs - a.updatedAtMs,
+  priority: (a, b) => bugPriorityRank(a.priority) - bugPriorityRank(b.priority) || b.id - a.id,
+  severity: (a, b) => bugSeverityRank(a.severity) - bugSeverityRank(b.severity) || b.id - a.id,
+  urgency: compareBugsByUrgency,
+};
+function setBugTriage(guildId, id, patch, byId = null) {
+  const bug = getBug(guildId, id);
+  if (!bug) return null;
+  const before = { priority: bug.priority, severity: bug.severity, component: bug.component, labels: [...(bug.labels || [])] };
+  if (patch.priority !== undefined) bug.priority = BUG_PRIORITIES.includes(patch.priority) ? patch.priority : null;
+  if (patch.severity !== undefined) bug.severity = BUG_SEVERITIES.includes(patch.severity) ? patch.severity : null;
+  if (patch.component !== undefined) bug.component = String(patch.component || "").trim().slice(0, 50) || null;
+  if (patch.labels !== undefined) {
+    bug.labels = [...new Set(patch.labels.map(normalizeBugLabel).filter(Boolean))].slice(0, BUG_MAX_LABELS);
+  }
+  const changes = diffBugFields(before, bug);
+  if (changes) recordBugEvent(bug, "edited", byId, { changes });
+  bug.updatedAtMs = nowMs();
+  saveBug(guildId, bug);
+  return bug;
+}
+function findBugBySourceMessage(guildId, messageId) {
+  return Array.from(getBugStore(guildId).items.values()).find((b) => b.sourceMessageId === messageId) || null;
+}
+function editBug(guildId, id, { title, description, fields, attachments }, byId = null) {
+  const bug = getBug(guildId, id);
+  if (!bug) return null;
+  const before = { title: bug.title, description: bug.description };
+  if (title !== undefined) bug.title = String(title || "").trim().slice(0, 200) || bug.title;
+  if (description !== undefined) bug.description = String(description || "").trim() || "(no description)";
+  if (fields !== undefined) bug.fields = fields;
+  if (attachments !== undefined) bug.attachments = attachments;
+
+  const changes = {};
+  if (before.title !== bug.title) changes.title = { from: before.title, to: bug.title };
+  if (before.description !== bug.description) {
+    const brief = (text) => clampText(text.replace(/\s+/g, " "), 80);
+    changes.description = { from: brief(before.description), to: brief(bug.description) };
+  }
+  if (Object.keys(changes).length) recordBugEvent(bug, "edited", byId, { changes });
+  bug.updatedAtMs = nowMs();
+  saveBug(guildId, bug);
+  return bug;
+}
+function linkBugToTicket(channelId, ticket, bug) {
+  if (!bug.ticketLinks) bug.ticketLinks = [];
+  if (!bug.ticketLinks.some((l) => l.channelId === channelId)) bug.ticketLinks.push({ channelId, lastStatus: bug.status });
+  if (!ticket.bugIds) ticket.bugIds = [];
+  if (!ticket.bugIds.includes(bug.id)) ticket.bugIds.push(bug.id);
+  saveBug(ticket.guildId, bug);
+  saveTicket(channelId);
+}
+function trashBug(guildId, id, byId, reason) {
+  const store = getBugStore(guildId);
+  const bug = store.items.get(Number(id));
+  if (!bug) return null;
+  bug.deletedAtMs = nowMs();
+  bug.deletedById = byId || null;
+  bug.deleteReason = String(reason || "").slice(0, 300);
+  recordBugEvent(bug, "deleted", byId, { reason: bug.deleteReason });
+  store.items.delete(bug.id);
+  store.trash.set(bug.id, bug);
+  saveBug(guildId, bug);
+  return bug;
+}
+function restoreBug(guildId, id, byId) {
+  const store = getBugStore(guildId);
+  const bug = store.trash.get(Number(id));
+  if (!bug) return null;
+  delete bug.deletedAtMs;
+  delete bug.deletedById;
+  delete bug.deleteReason;
+  recordBugEvent(bug, "restored", byId);
+  bug.updatedAtMs = nowMs();
+  store.trash.delete(bug.id);
+  store.items.set(bug.id, bug);
+  saveBug(guildId, bug);
+  return bug;
+}
+function purgeBug(guildId, id) {
+  const store = getBugStore(guildId);
+  if (!store.trash.delete(Number(id))) return false;
+  persist((st) => st.deleteBug(guildId, Number(id)));
+  return true;
+}
+function describeBugTriage(bug) {
+  return [
+    bug.priority ? `**${bug.priority}**` : null,
+    bug.severity || null,
+    bug.component ? `[${bug.component}]` : null,
+    ...(bug.labels || []).map((l) => `\`${l}\``),
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+function recordBugEvent(bug, type, byId, details = {}) {
+  if (!bug.history) bug.history = [];
+  bug.history.push({ type, byId: byId || null, atMs: nowMs(), ...details });
+}
+function getBugHistory(bug) {
+  return bug.history?.length ? bug.history : [{ type: "created", byId: bug.reporterId, atMs: bug.createdAtMs, status: "OPEN" }];
+}
+function diffBugFields(before, after) {
+  const changes = {};
+  for (const key of Object.keys(before)) {
+    const from = before[key];
+    const to = Array.isArray(after[key]) ? [...after[key]] : after[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to };
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+function describeBugEvent(event) {
+  const by = event.byId ? `<@${event.byId}>` : "someone";
+  const fmt = (v) => (Array.isArray(v) ? v.join(", ") || "(none)" : v ?? "(none)");
+  switch (event.type) {
+    case "created":
+      return `${by} reported the bug`;
+    case "status":
+      return `${by} changed status **${event.from} → ${event.to}**${event.note ? ` — ${clampText(event.note, 100)}` : ""}`;
+    case "assigned":
+      return event.to ? `${by} assigned <@${event.to}>` : `${by} unassigned <@${event.from}>`;
+    case "commented":
+      return `${by} commented: ${clampText(event.text, 100)}`;
+    case "reopened":
+      return `${by} reopened it (was **${event.from}**)${event.note ? ` — ${clampText(event.note, 100)}` : ""}`;
+    case "edited":
+      return `${by} edited ${Object.entries(event.changes || {})
+        .map(([k, c]) => `${k}: ${fmt(c.from)} → ${fmt(c.to)}`)
+        .join("; ")}`;
+    case "merged":
+      return `${by} merged duplicate #${event.duplicateId}`;
+    case "imported":
+      return `${by} imported it`;
+    case "deleted":
+      return `${by} moved it to the trash${event.reason ? ` — ${clampText(event.reason, 100)}` : ""}`;
+    case "restored":
+      return `${by} restored it from the trash`;
+    default:
+      return `${by} ${event.type}`;
+  }
+}
+function buildBugTimelineLines(bug, limit = 10) {
+  const history = getBugHistory(bug);
+  const lines = history.slice(-limit).map((e) => `<t:${Math.floor(e.atMs / 1000)}:f> • ${describeBugEvent(e)}`);
+  if (history.length > limit) lines.unshift(`…${history.length - limit} earlier event(s); use **/bug history** for all.`);
+  return lines;
+}
+function buildBugHistoryFile(bug, format) {
+  const history = getBugHistory(bug);
+  if (format === "json") {
+    return new AttachmentBuilder(Buffer.from(JSON.stringify({ bugId: bug.id, title: bug.title, history }, null, 2), "utf8"), {
+      name: `bug-${bug.id}-history.json`,
+    });
+  }
+  const lines = [
+    `Bug #${bug.id}: ${bug.title}`,
+    "",
+    ...history.map((e) => `${new Date(e.atMs).toISOString()}  ${describeBugEvent(e).replace(/<@(\d+)>/g, "@$1").replace(/\*\*/g, "")}`),
+  ];
+  return new AttachmentBuilder(Buffer.from(lines.join("\n"), "utf8"), { name: `bug-${bug.id}-history.txt` });
+}
+function getBugWatcherIds(bug) {
+  return bug.watcherIds || [bug.reporterId];
+}
+function setBugWatching(guildId, id, userId, watching) {
+  const bug = getBug(guildId, id);
+  if (!bug) return null;
+  const others = getBugWatcherIds(bug).filter((uid) => uid !== userId);
+  bug.watcherIds = watching ? [...others, userId] : others;
+  saveBug(guildId, bug);
+  return bug;
+}
+function describeBugWatchChange(guildId, userId, bugId, watching) {
+  if (!watching) return `You stopped watching bug **#${bugId}**.`;
+  const hint = isBugDmOptedOut(guildId, userId) ? " Bug DMs are turned off for you; use **/bug notifications** to turn them back on." : "";
+  return `You are now watching bug **#${bugId}** and will get a DM when it changes.${hint}`;
+}
+function isBugDmOptedOut(guildId, userId) {
+  return (getSettings(guildId).bug_dm_optout_user_ids || []).includes(userId);
+}
+function setBugDmOptOut(guildId, userId, optOut) {
+  const others = (getSettings(guildId).bug_dm_optout_user_ids || []).filter((uid) => uid !== userId);
+  setSettings(guildId, { bug_dm_optout_user_ids: optOut ? [...others, userId] : others });
+}
+function getBug(guildId, id) {
+  return getBugStore(guildId).items.get(Number(id)) || null;
+}
+function setBugStatus(guildId, id, status, assignedToId, note, byId = null) {
+  const bug = getBug(guildId, id);
+  if (!bug) return null;
+  if (bug.status !== status) recordBugEvent(bug, "status", byId, { from: bug.status, to: status, note: note || "" });
+  if (assignedToId !== undefined && assignedToId !== bug.assignedToId) {
+    recordBugEvent(bug, "assigned", byId, { from: bug.assignedToId || null, to: assignedToId || null });
+  }
+  bug.status = status;
+  bug.updatedAtMs = nowMs();
+  if (assignedToId !== undefined) bug.assignedToId = assignedToId;
+  if (assignedToId) bug.watcherIds = [...new Set([...getBugWatcherIds(bug), assignedToId])];
+  if (note) bug.lastNote = String(note).slice(0, 900);
+  saveBug(guildId, bug);
+  return bug;
+}
+function addBugComment(guildId, id, byId, text) {
+  const bug = getBug(guildId, id);
+  if (!bug) return null;
+  const t = String(text || "").trim();
+  if (!t) return null;
+  bug.comments.push({ byId, text: t.slice(0, 900), atMs: nowMs() });
+  recordBugEvent(bug, "commented", byId, { text: t.slice(0, 900) });
+  bug.updatedAtMs = nowMs();
+  saveBug(guildId, bug);
+  return bug;
+}
+function reopenBug(guildId, id, note, byId = null) {
+  const bug = getBug(guildId, id);
+  if (!bug) return null;
+  recordBugEvent(bug, "reopened", byId, { from: bug.status, to: "OPEN", note: note || "" });
+  const original = bug.duplicateOfId ? getBug(guildId, bug.duplicateOfId) : null;
+  if (original?.duplicateIds?.includes(bug.id)) {
+    original.duplicateIds = original.duplicateIds.filter((d) => d !== bug.id);
+    saveBug(guildId, original);
+  }
+  bug.status = "OPEN";
+  bug.duplicateOfId = null;
+  bug.updatedAtMs = nowMs();
+  if (note) bug.lastNote = String(note).slice(0, 900);
+  saveBug(guildId, bug);
+  return bug;
+}
+const BUG_DUPLICATE_THRESHOLD = 0.4;
+const BUG_STOPWORDS = new Set(
+  "the and for with when that this from have has not but are was were can cant does doesnt dont into then than there their its it's after before while just also again".split(" ")
+);
+
+function stemBugToken(token) {
+  const stem = token.replace(/(?:ing|ed|es|s)$/, "").replace(/e$/, "");
+  return stem.length >= 3 ? stem : token;
+}
+function tokenizeBugText(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((t) => t.length >= 3 && !BUG_STOPWORDS.has(t))
+      .map(stemBugToken)
+  );
+}
+function tokenOverlap(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+function findSimilarBugs(guildId, title, description, limit = 3) {
+  const titleTokens = tokenizeBugText(title);
+  const allTokens = tokenizeBugText(`${title}\n${description}`);
+  return Array.from(getBugStore(guildId).items.values())
+    .filter((b) => !isBugClosedStatus(guildId, b.status))
+    .map((bug) => ({
+      bug,
+      score: Math.max(
+        tokenOverlap(titleTokens, tokenizeBugText(bug.title)),
+        tokenOverlap(allTokens, tokenizeBugText(`${bug.title}\n${bug.description}`))
+      ),
+    }))
+    .filter((m) => m.score >= BUG_DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score || b.bug.id - a.bug.id)
+    .slice(0, limit);
+}
+function markBugDuplicate(guildId, id, ofId, byId) {
+  const duplicate = getBug(guildId, id);
+  const original = getBug(guildId, ofId);
+  if (!duplicate) return { ok: false, reason: `Bug #${id} not found.` };
+  if (!original) return { ok: false, reason: `Bug #${ofId} not found.` };
+  if (duplicate.id === original.id) return { ok: false, reason: "A bug cannot duplicate itself." };
+  if (duplicate.status === "DUPLICATE") {
+    return { ok: false, reason: `Bug #${duplicate.id} is already marked as a duplicate of #${duplicate.duplicateOfId}.` };
+  }
+  if (original.status === "DUPLICATE") {
+    return { ok: false, reason: `Bug #${original.id} is itself a duplicate of #${original.duplicateOfId}; merge into that one instead.` };
+  }
+
+  recordBugEvent(duplicate, "status", byId, { from: duplicate.status, to: "DUPLICATE", note: `Duplicate of #${original.id}` });
+  recordBugEvent(original, "merged", byId, { duplicateId: duplicate.id });
+  duplicate.status = "DUPLICATE";
+  duplicate.duplicateOfId = original.id;
+  duplicate.lastNote = `Duplicate of #${original.id}`;
+  duplicate.updatedAtMs = nowMs();
+
+  const moved = duplicate.comments.map((c) => ({ ...c, mergedFromId: duplicate.id }));
+  original.comments = [...original.comments, ...moved].sort((a, b) => a.atMs - b.atMs);
+  original.comments.push({ byId, text: `Merged duplicate #${duplicate.id} (${clampText(duplicate.title, 100)})`, atMs: nowMs() });
+  original.watcherIds = [...new Set([...getBugWatcherIds(original), ...getBugWatcherIds(duplicate), duplicate.reporterId])];
+  original.duplicateIds = [...new Set([...(original.duplicateIds || []), duplicate.id])];
+  original.updatedAtMs = nowMs();
+
+  saveBug(guildId, duplicate);
+  saveBug(guildId, original);
+  return { ok: true, duplicate, original };
+}
+async function notifyBugDuplicateReporters(guild, duplicate, original) {
+  const lines = {
+    [duplicate.reporterId]: `Your bug report **#${duplicate.id}** in **${guild.name}** was closed as a duplicate of **#${original.id}** (${clampText(original.title, 100)}). You will follow the original from now on.`,
+    [original.reporterId]: `Bug report **#${duplicate.id}** in **${guild.name}** was merged into your report **#${original.id}** as a duplicate.`,
+  };
+  for (const [userId, text] of Object.entries(lines)) {
+    const user = await guild.client.users.fetch(userId).catch(() => null);
+    if (!user) continue;
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle("🔁 Duplicate Bug Merged")
+      .setDescription([text, original.sourceMessageUrl ? `**Original:** ${original.sourceMessageUrl}` : null].filter(Boolean).join("\n"))
+      .setTimestamp(new Date());
+    await user.send({ embeds: [embed] }).catch(() => null);
+  }
+}
+function buildBugDuplicateWarning(matches) {
+  return new EmbedBuilder()
+    .setColor(0xfee75c)
+    .setTitle("⚠️ Possible Duplicate")
+    .setDescription(
+      [
+        "This looks similar to existing open bug(s):",
+        "",
+        ...matches.map(({ bug, score }) => `${buildBugCardLine(bug)}\n↳ match ${Math.round(score * 100)}%`),
+        "",
+        "If one of these is your problem, comment there instead. Otherwise submit it anyway.",
+      ].join("\n")
+    )
+    .setTimestamp(new Date());
+}
+const BUG_DUP_SUBMIT_PREFIX = "bug_dup_submit:";
+const BUG_DUP_CANCEL_PREFIX = "bug_dup_cancel:";
+const BUG_DRAFT_TTL_MS = 15 * 60_000;
+const pendingBugDrafts = new Map();
+
+function stashBugDraft(guildId, userId, report) {
+  for (const [token, draft] of pendingBugDrafts) if (draft.expiresAtMs <= nowMs()) pendingBugDrafts.delete(token);
+  const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  pendingBugDrafts.set(token, { guildId, userId, report, expiresAtMs: nowMs() + BUG_DRAFT_TTL_MS });
+  return token;
+}
+function buildBugDuplicateComponents(ref) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`${BUG_DUP_SUBMIT_PREFIX}${ref}`).setLabel("Submit Anyway").setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(`${BUG_DUP_CANCEL_PREFIX}${ref}`).setLabel("Don't Submit").setStyle(ButtonStyle.Secondary)
+    ),
+  ];
+}
+function buildBugCardLine(bug) {
+  const link = bug.sourceMessageUrl ? bug.sourceMessageUrl : "(no link)";
+  const assigned = bug.assignedToId ? ` • <@${bug.assignedToId}>` : "";
+  const triage = describeBugTriage(bug);
+  return `${bugStatusEmoji(bug.status, bug.guildId)} **#${bug.id}** ${clampText(bug.title, 60)} — **${bug.status}**${assigned}${triage ? `\n↳ ${triage}` : ""}\n↳ ${link}`;
+}
+const BUG_REFERENCE_RE = /(?:^|[^\w])bug ?#(\d{1,7})\b/gi;
+const BUG_REFERENCE_MAX_PER_MESSAGE = 3;
+const BUG_REFERENCE_CHANNEL_COOLDOWN_MS = 15_000;
+const bugReferenceCooldowns = new Map();
+
+function findBugReferences(content) {
+  const ids = [];
+  for (const m of String(content || "").matchAll(BUG_REFERENCE_RE)) {
+    const id = Number(m[1]);
+    if (!ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+function takeBugReferences(guildId, channelId, content) {
+  const s = getSettings(guildId);
+  if (!s.bug_references_enabled) return [];
+  const now = nowMs();
+  if (now - (bugReferenceCooldowns.get(channelId) || 0) < BUG_REFERENCE_CHANNEL_COOLDOWN_MS) return [];
+
+  const perBugMs = Math.max(0, Number(s.bug_reference_cooldown_seconds) || 0) * 1000;
+  const bugs = findBugReferences(content)
+    .map((id) => getBug(guildId, id))
+    .filter((bug) => bug && now - (bugReferenceCooldowns.get(`${channelId}:${bug.id}`) || 0) >= perBugMs)
+    .slice(0, BUG_REFERENCE_MAX_PER_MESSAGE);
+  if (!bugs.length) return [];
+
+  if (bugReferenceCooldowns.size > 5000) {
+    for (const [key, atMs] of bugReferenceCooldowns) if (now - atMs > Math.max(perBugMs, BUG_REFERENCE_CHANNEL_COOLDOWN_MS)) bugReferenceCooldowns.delete(key);
+  }
+  bugReferenceCooldowns.set(channelId, now);
+  for (const bug of bugs) bugReferenceCooldowns.set(`${channelId}:${bug.id}`, now);
+  return bugs;
+}
+async function replyWithBugReferences(message) {
+  const bugs = takeBugReferences(message.guild.id, message.channel.id, message.content);
+  if (!bugs.length) return;
+  await message
+    .reply({ content: bugs.map(buildBugCardLine).join("\n"), allowedMentions: { parse: [], repliedUser: false } })
+    .catch(() => null);
+}
+function buildBugDetailEmbed(bug, { timeline = false } = {}) {
+  const commentPreview = bug.comments.slice(-3).map((c) => `• <@${c.byId}>: ${clampText(c.text, 120)}`);
+  const embed = new EmbedBuilder()
+    .setColor(bugStatusColor(bug.status, bug.guildId))
+    .setTitle(`🐞 Bug #${bug.id} ${bugStatusEmoji(bug.status, bug.guildId)} ${bug.status}`)
+    .setDescription(
+      [
+        `**Title:** ${clampText(bug.title, 200)}`,
+        `**Reporter:** <@${bug.reporterId}>`,
+        bug.assignedToId ? `**Assigned:** <@${bug.assignedToId}>` : "**Assigned:** (none)",
+        `**Priority:** ${bug.priority || "(untriaged)"} • **Severity:** ${bug.severity || "(unset)"}`,
+        bug.component ? `**Component:** ${bug.component}` : null,
+        bug.labels?.length ? `**Labels:** ${bug.labels.map((l) => `\`${l}\``).join(" ")}` : null,
+        bug.duplicateOfId ? `**Duplicate of:** #${bug.duplicateOfId}` : null,
+        bug.duplicateIds?.length ? `**Duplicates:** ${bug.duplicateIds.map((d) => `#${d}`).join(", ")}` : null,
+        "",
+        bug.fields?.length ? null : clampText(bug.description, 1500),
+        bug.fields?.length ? null : "",
+        bug.sourceMessageUrl ? `**Link:** ${bug.sourceMessageUrl}` : null,
+        bug.tracker?.url ? `**Issue:** ${bug.tracker.url}` : null,
+        bug.ticketLinks?.length ? `**Tickets:** ${bug.ticketLinks.map((l) => `<#${l.channelId}>`).join(", ")}` : null,
+        bug.lastNote ? `**Note:** ${clampText(bug.lastNote, 900)}` : null,
+        bug.comments.length ? `**Comments (${bug.comments.length}):**` : null,
+        bug.comments.length ? commentPreview.join("\n") : null,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .setTimestamp(new Date(bug.updatedAtMs));
+  for (const field of bug.fields || []) {
+    embed.addFields({ name: clampText(field.label, 256), value: clampText(field.value, 1024), inline: field.value.length <= 60 });
+  }
+  if (bug.attachments?.length) {
+    embed.addFields({ name: "Attachments", value: clampText(bug.attachments.map((a) => `[${clampText(a.name, 60)}](${a.url})`).join("\n"), 1024) });
+  }
+  if (timeline) embed.addFields({ name: "Timeline", value: clampText(buildBugTimelineLines(bug).join("\n"), 1024) });
+  return embed;
+}
+const BUG_EXPORT_COLUMNS = [
+  "id",
+  "status",
+  "title",
+  "description",
+  "reporter_id",
+  "assigned_to_id",
+  "priority",
+  "severity",
+  "component",
+  "labels",
+  "created_at",
+  "updated_at",
+  "source_url",
+  "duplicate_of",
+  "attachments",
+];
+const BUG_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const BUG_IMPORT_MAX_ROWS = 5000;
+const SNOWFLAKE_RE = /^\d{15,21}$/;
+
+function parseSince(raw) {
+  const text = String(raw || "").trim().toLowerCase();
+  if (!text) return null;
+  const rel = text.match(/^(\d+)\s*([mhdw])$/);
+  if (rel) return nowMs() - Number(rel[1]) * { m: 60_000, h: 3_600_000, d: DAY_MS, w: 7 * DAY_MS }[rel[2]];
+  const abs = Date.parse(text);
+  return Number.isFinite(abs) ? abs : null;
+}
+function csvEscape(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+function bugToExportRow(bug) {
+  return {
+    id: bug.id,
+    status: bug.status,
+    title: bug.title,
+    description: bug.description,
+    reporter_id: bug.reporterId,
+    assigned_to_id: bug.assignedToId || "",
+    priority: bug.priority || "",
+    severity: bug.severity || "",
+    component: bug.component || "",
+    labels: (bug.labels || []).join(";"),
+    created_at: new Date(bug.createdAtMs).toISOString(),
+    updated_at: new Date(bug.updatedAtMs).toISOString(),
+    source_url: bug.sourceMessageUrl || "",
+    duplicate_of: bug.duplicateOfId || "",
+    attachments: (bug.attachments || []).map((a) => a.url).join(" "),
+  };
+}
+function selectBugsForExport(guildId, { status = null, sinceMs = null } = {}) {
+  return Array.from(getBugStore(guildId).items.values())
+    .filter((b) => !status || b.status === status)
+    .filter((b) => !sinceMs || b.updatedAtMs >= sinceMs)
+    .sort((a, b) => a.id - b.id);
+}
+function buildBugExportFile(guild, bugs, format, filterText) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "json") {
+    const body = { guildId: guild.id, exportedAtMs: nowMs(), count: bugs.length, bugs };
+    return new AttachmentBuilder(Buffer.from(JSON.stringify(body, null, 2), "utf8"), { name: `bugs-${stamp}.json` });
+  }
+  if (format === "markdown") {
+    const lines = [`# Bug export — ${guild.name}`, "", `Exported ${new Date().toISOString()} • ${bugs.length} bug(s)${filterText ? ` • ${filterText}` : ""}`];
+    for (const bug of bugs) {
+      const row = bugToExportRow(bug);
+      lines.push(
+        "",
+        `## #${bug.id} ${bug.title}`,
+        "",
+        `- **Status:** ${bug.status}${bug.duplicateOfId ? ` (duplicate of #${bug.duplicateOfId})` : ""}`,
+        `- **Reporter:** ${bug.reporterId}`,
+        bug.assignedToId ? `- **Assigned:** ${bug.assignedToId}` : null,
+        describeBugTriage(bug) ? `- **Triage:** ${describeBugTriage(bug).replace(/\*\*/g, "")}` : null,
+        `- **Created:** ${row.created_at} • **Updated:** ${row.updated_at}`,
+        bug.sourceMessageUrl ? `- **Link:** ${bug.sourceMessageUrl}` : null,
+        "",
+        bug.description
+      );
+    }
+    return new AttachmentBuilder(Buffer.from(lines.filter((l) => l !== null).join("\n"), "utf8"), { name: `bugs-${stamp}.md` });
+  }
+  const csv = [BUG_EXPORT_COLUMNS.join(","), ...bugs.map((b) => BUG_EXPORT_COLUMNS.map((c) => csvEscape(bugToExportRow(b)[c])).join(","))];
+  return new AttachmentBuilder(Buffer.from(csv.join("\r\n"), "utf8"), { name: `bugs-${stamp}.csv` });
+}
+const BUG_HISTORY_TYPES = ["created", "edited", "status", "assigned", "commented", "reopened", "merged", "deleted", "restored", "imported"];
+function normalizeImportedBug(guildId, raw) {
+  const pick = (...keys) => {
+    for (const k of keys) if (raw[k] !== undefined && raw[k] !== null && raw[k] !== "") return raw[k];
+    return null;
+  };
+  const id = Number(pick("id"));
+  if (!Number.isInteger(id) || id <= 0) return { error: `invalid id "${pick("id") ?? ""}"` };
+
+  const title = String(pick("title") || "").trim();
+  if (!title) return { error: `#${id}: missing title` };
+
+  const reporterId = String(pick("reporterId", "reporter_id") || "").trim();
+  if (!SNOWFLAKE_RE.test(reporterId)) return { error: `#${id}: reporter must be a Discord user ID` };
+
+  const status = String(pick("status") || "OPEN").trim().toUpperCase();
+  if (!getBugStatusDef(guildId, status)) return { error: `#${id}: unknown status "${status}"` };
+
+  const assignedToId = pick("assignedToId", "assigned_to_id");
+  if (assignedToId && !SNOWFLAKE_RE.test(String(assignedToId))) return { error: `#${id}: assignee must be a Discord user ID` };
+
+  const toMs = (v, fallback) => {
+    if (v === null) return fallback;
+    const n = typeof v === "number" ? v : Date.parse(v);
+    return Number.isFinite(n) ? n : fallback;
+  };
+  const createdAtMs = toMs(pick("createdAtMs", "created_at"), nowMs());
+  const labelsRaw = pick("labels");
+  const labels = Array.isArray(labelsRaw) ? labelsRaw : String(labelsRaw || "").split(/[;,]/);
+  const priority = String(pick("priority") || "").toUpperCase();
+  const severity = String(pick("severity") || "").toUpperCase();
+  const duplicateOfId = Number(pick("duplicateOfId", "duplicate_of")) || null;
+  const comments = Array.isArray(raw.comments) ? raw.comments : [];
+  const badComment = comments.findIndex(
+    (c) => !c || !SNOWFLAKE_RE.test(String(c.byId)) || !Number.isFinite(c.atMs) || typeof c.text !== "string" || !c.text.trim()
+  );
+  if (badComment !== -1) return { error: `#${id}: comment ${badComment + 1} needs a user ID, a timestamp and text` };
+  const history = Array.isArray(raw.history) ? raw.history : null;
+  const badEvent = (history || []).findIndex(
+    (e) => !e || !BUG_HISTORY_TYPES.includes(e.type) || !Number.isFinite(e.atMs) || (e.byId !== null && !SNOWFLAKE_RE.test(String(e.byId)))
+  );
+  if (badEvent !== -1) return { error: `#${id}: history entry ${badEvent + 1} is invalid` };
+  const attachmentsRaw = pick("attachments");
+  const attachments = (Array.isArray(attachmentsRaw) ? attachmentsRaw : String(attachmentsRaw || "").split(/\s+/))
+    .map((a) => (typeof a === "string" ? { name: a.split("/").pop().split("?")[0], url: a } : a))
+    .filter((a) => a && /^https?:\/\//.test(String(a.url)))
+    .slice(0, BUG_MAX_ATTACHMENTS);
+  const fields = Array.isArray(raw.fields)
+    ? raw.fields.filter((f) => f && f.label && f.value).map((f) => ({ key: String(f.key || slugifyBugFieldLabel(f.label)), label: String(f.label), value: String(f.value) }))
+    : [];
+
+  const bug = {
+    id,
+    guildId,
+    reporterId,
+    title: title.slice(0, 200),
+    description: String(pick("description") || "").trim() || "(no description)",
+    fields,
+    attachments,
+    status,
+    createdAtMs,
+    updatedAtMs: toMs(pick("updatedAtMs", "updated_at"), createdAtMs),
+    sourceChannelId: pick("sourceChannelId"),
+    sourceMessageId: pick("sourceMessageId"),
+    sourceMessageUrl: pick("sourceMessageUrl", "source_url"),
+    assignedToId: assignedToId ? String(assignedToId) : null,
+    priority: BUG_PRIORITIES.includes(priority) ? priority : null,
+    severity: BUG_SEVERITIES.includes(severity) ? severity : null,
+    component: pick("component") ? String(pick("component")).slice(0, 50) : null,
+    labels: [...new Set(labels.map(normalizeBugLabel).filter(Boolean))].slice(0, BUG_MAX_LABELS),
+    lastNote: String(pick("lastNote") || "").slice(0, 900),
+    comments,
+    watcherIds: Array.isArray(raw.watcherIds) ? raw.watcherIds.filter((u) => SNOWFLAKE_RE.test(String(u))) : [reporterId],
+    duplicateOfId,
+    duplicateIds: Array.isArray(raw.duplicateIds) ? raw.duplicateIds.map(Number).filter(Number.isInteger) : [],
+    history: history || [{ type: "created", byId: reporterId, atMs: createdAtMs, status }],
+  };
+  return { bug };
+}
+function parseBugImport(text, fileName) {
+  const trimmed = String(text || "").trim();
+  const looksJson = /\.json$/i.test(fileName || "") || trimmed.startsWith("{") || trimmed.startsWith("[");
+  if (looksJson) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      return { error: `Invalid JSON: ${e.message}` };
+    }
+    const records = Array.isArray(data) ? data : data?.bugs;
+    if (!Array.isArray(records)) return { error: "JSON must be an array of bugs or an object with a `bugs` array." };
+    return { records };
+  }
+
+  const [header, ...rows] = parseCsv(trimmed);
+  if (!header) return { error: "The file is empty." };
+  const columns = header.map((h) => h.trim().toLowerCase());
+  if (!columns.includes("id") || !columns.includes("title")) return { error: "CSV needs at least `id` and `title` columns." };
+  return { records: rows.map((r) => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ""]))) };
+}
+function importBugs(guildId, records, byId) {
+  const store = getBugStore(guildId);
+  const imported = [];
+  const skipped = [];
+  const results = records.slice(0, BUG_IMPORT_MAX_ROWS).map((raw) => normalizeImportedBug(guildId, raw || {}));
+  const incomingIds = new Set(results.filter((r) => r.bug).map((r) => r.bug.id));
+  for (const { bug, error } of results) {
+    if (error) {
+      skipped.push(error);
+      continue;
+    }
+    if (bug.duplicateOfId && !store.items.has(bug.duplicateOfId) && !incomingIds.has(bug.duplicateOfId)) {
+      skipped.push(`#${bug.id}: duplicate of #${bug.duplicateOfId}, which does not exist`);
+      continue;
+    }
+    if (store.items.has(bug.id) || store.trash.has(bug.id)) {
+      skipped.push(`#${bug.id}: already exists${store.trash.has(bug.id) ? " (in trash)" : ""}`);
+      continue;
+    }
+    recordBugEvent(bug, "imported", byId, {});
+    store.items.set(bug.id, bug);
+    saveBug(guildId, bug);
+    imported.push(bug.id);
+  }
+  if (records.length > BUG_IMPORT_MAX_ROWS) skipped.push(`${records.length - BUG_IMPORT_MAX_ROWS} row(s) over the ${BUG_IMPORT_MAX_ROWS} limit`);
+
+  const maxId = Math.max(store.counter, ...imported);
+  if (maxId !== store.counter) {
+    store.counter = maxId;
+    persist((st) => st.saveCounter(guildId, "bug", store.counter));
+  }
+  return { imported, skipped };
+}
+const BUG_STATS_PERIODS = { "24h": "Last 24 hours", "7d": "Last 7 days", "30d": "Last 30 days", "90d": "Last 90 days", all: "All time" };
+const BUG_DIGEST_INTERVAL_MS = 7 * 24 * 60 * 60_000;
+
+function getBugResolvedAtMs(guildId, bug) {
+  if (!isBugClosedStatus(guildId, bug.status)) return null;
+  let resolvedAtMs = null;
+  for (const event of getBugHistory(bug)) {
+    if (event.type === "reopened") resolvedAtMs = null;
+    if (event.type === "status") resolvedAtMs = isBugClosedStatus(guildId, event.to) ? event.atMs : null;
+  }
+  return resolvedAtMs ?? bug.updatedAtMs;
+}
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+function countBy(items, keyOf) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+function computeBugStats(guildId, sinceMs = 0) {
+  const bugs = Array.from(getBugStore(guildId).items.values());
+  const opened = bugs.filter((b) => b.createdAtMs >= sinceMs);
+  const resolved = bugs
+    .map((b) => ({ bug: b, resolvedAtMs: getBugResolvedAtMs(guildId, b) }))
+    .filter((r) => r.resolvedAtMs !== null && r.resolvedAtMs >= sinceMs && r.bug.status !== "DUPLICATE");
+  const open = bugs.filter((b) => !isBugClosedStatus(guildId, b.status));
+
+  const openByAssignee = new Map(countBy(open, (b) => b.assignedToId));
+  const resolvedByAssignee = new Map(countBy(resolved, (r) => r.bug.assignedToId));
+  const assignees = [...new Set([...openByAssignee.keys(), ...resolvedByAssignee.keys()])]
+    .map((id) => ({ id, open: openByAssignee.get(id) || 0, resolved: resolvedByAssignee.get(id) || 0 }))
+    .sort((a, b) => b.resolved - a.resolved || b.open - a.open);
+
+  return {
+    opened: opened.length,
+    resolved: resolved.length,
+    open: open.length,
+    unassigned: open.filter((b) => !b.assignedToId).length,
+    medianResolveMs: median(resolved.map((r) => r.resolvedAtMs - r.bug.createdAtMs)),
+    byStatus: getBugStatuses(guildId)
+      .map((status) => ({ status, count: bugs.filter((b) => b.status === status).length }))
+      .filter((r) => r.count),
+    assignees,
+    topReporters: countBy(opened, (b) => b.reporterId).slice(0, 5),
+  };
+}
+function buildBugStatsEmbed(guild, period) {
+  const sinceMs = period === "all" ? 0 : parseSince(period);
+  const stats = computeBugStats(guild.id, sinceMs);
+  return new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(`📊 Bug Stats • ${BUG_STATS_PERIODS[period] || period}`)
+    .setDescription(
+      [
+        `**Opened:** ${stats.opened} • **Resolved:** ${stats.resolved}`,
+        `**Median time to resolve:** ${stats.medianResolveMs === null ? "(n/a)" : formatDuration(stats.medianResolveMs)}`,
+        `**Open now:** ${stats.open} (${stats.unassigned} unassigned)`,
+      ].join("\n")
+    )
+    .addFields(
+      {
+        name: "By status (all bugs)",
+        value: stats.byStatus.map((r) => `${bugStatusEmoji(r.status, guild.id)} ${r.status}: **${r.count}**`).join("\n") || "(no bugs)",
+        inline: true,
+      },
+      {
+        name: "By assignee (open • resolved)",
+        value: clampText(stats.assignees.slice(0, 10).map((a) => `<@${a.id}>: ${a.open} • ${a.resolved}`).join("\n") || "(nobody assigned)", 1024),
+        inline: true,
+      },
+      {
+        name: "Top reporters",
+        value: stats.topReporters.map(([id, n], i) => `${i + 1}. <@${id}> — ${n}`).join("\n") || "(no new reports)",
+      }
+    )
+    .setTimestamp(new Date());
+}
+async function checkBugDigests(c) {
+  for (const guild of c.guilds.cache.values()) {
+    const s = getSettings(guild.id);
+    if (!s.bug_digest_enabled || !s.bug_updates_channel_id) continue;
+    if (!s.bug_digest_last_ms) {
+      setSettings(guild.id, { bug_digest_last_ms: nowMs() });
+      continue;
+    }
+    if (nowMs() - s.bug_digest_last_ms < BUG_DIGEST_INTERVAL_MS) continue;
+
+    setSettings(guild.id, { bug_digest_last_ms: nowMs() });
+    const ch = await guild.channels.fetch(s.bug_updates_channel_id).catch(() => null);
+    if (!ch?.isTextBased()) continue;
+    const embed = buildBugStatsEmbed(guild, "7d").setTitle("🗓️ Weekly Bug Digest");
+    await ch.send({ embeds: [embed], allowedMentions: { parse: [] } }).catch(() => null);
+  }
+}
+const BUG_PAGE_SIZE = 10;
+const BUG_LIST_PREFIX = "bug_list:";
+const BUG_SORT_KEYS = Object.keys(BUG_SORTS);
+
+function defaultBugListState(overrides = {}) {
+  return { page: 0, status: null, assigneeId: null, reporterId: null, label: null, sort: "newest", ...overrides };
+}
+function packUserId(id) {
+  return id ? BigInt(id).toString(36) : "";
+}
+function unpackUserId(packed) {
+  if (!/^[0-9a-z]{1,13}$/.test(packed || "")) return null;
+  return [...packed].reduce((n, c) => n * 36n + BigInt(parseInt(c, 36)), 0n).toString();
+}
+function encodeBugListId(kind, state) {
+  return [
+    `${BUG_LIST_PREFIX}${kind}`,
+    state.page,
+    state.status || "",
+    packUserId(state.assigneeId),
+    packUserId(state.reporterId),
+    Math.max(0, BUG_SORT_KEYS.indexOf(state.sort)),
+    state.label || "",
+  ].join(":");
+}
+function decodeBugListId(guildId, customId) {
+  const [kind, page, status, assigneeId, reporterId, sort, label] = customId.slice(BUG_LIST_PREFIX.length).split(":");
+  return {
+    kind,
+    state: defaultBugListState({
+      page: Math.max(0, Number(page) || 0),
+      status: status && getBugStatusDef(guildId, status) ? status : null,
+      assigneeId: unpackUserId(assigneeId),
+      reporterId: unpackUserId(reporterId),
+      sort: BUG_SORT_KEYS[Number(sort)] || "newest",
+      label: label || null,
+    }),
+  };
+}
+function filterBugs(guildId, state) {
+  const sort = BUG_SORTS[state.sort] || BUG_SORTS.newest;
+  return Array.from(getBugStore(guildId).items.values())
+    .filter((b) => !state.status || b.status === state.status)
+    .filter((b) => !state.assigneeId || b.assignedToId === state.assigneeId)
+    .filter((b) => !state.reporterId || b.reporterId === state.reporterId)
+    .filter((b) => !state.label || (b.labels || []).includes(state.label))
+    .sort(sort);
+}
+function paginateBugs(bugs, page) {
+  const pageCount = Math.max(1, Math.ceil(bugs.length / BUG_PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  return { page: current, pageCount, items: bugs.slice(current * BUG_PAGE_SIZE, (current + 1) * BUG_PAGE_SIZE) };
+}
+function describeBugListFilters(guildId, state) {
+  return [
+    state.status ? `**Status:** ${bugStatusEmoji(state.status, guildId)} ${state.status}` : null,
+    state.assigneeId ? `**Assignee:** <@${state.assigneeId}>` : null,
+    state.reporterId ? `**Reporter:** <@${state.reporterId}>` : null,
+    state.label ? `**Label:** \`${state.label}\`` : null,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+function buildBugPagerRow(guildId, state, page, pageCount, extraButtons = []) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(encodeBugListId("p", { ...state, page: page - 1 }))
+      .setLabel("◀ Prev")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(`${BUG_LIST_PREFIX}page`)
+      .setLabel(`Page ${page + 1} of ${pageCount}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true),
+    new ButtonBuilder()
+      .setCustomId(encodeBugListId("n", { ...state, page: page + 1 }))
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1),
+    ...extraButtons
+  );
+}
+function buildBugListView(guildId, state) {
+  const filtered = filterBugs(guildId, state);
+  const { page, pageCount, items } = paginateBugs(filtered, state.page);
+  const filters = describeBugListFilters(guildId, state);
+
+  const embed = new EmbedBuilder()
+    .setColor(0xfee75c)
+    .setTitle("🐞 Bugs")
+    .setDescription(
+      clampText(
+        [filters || "**Filters:** none", "", ...(items.length ? items.map(buildBugCardLine) : ["No bugs match these filters."])].join("\n\n"),
+        4000
+      )
+    )
+    .setFooter({ text: `Page ${page + 1}/${pageCount} • ${filtered.length} bug(s) • sorted by ${state.sort}` })
+    .setTimestamp(new Date());
+
+  const base = { ...state, page: 0 };
+  const statusSelect = new StringSelectMenuBuilder()
+    .setCustomId(encodeBugListId("s", base))
+    .setPlaceholder("Filter by status")
+    .addOptions(
+      { label: "Any status", value: "any", default: !state.status },
+      ...getBugStatuses(guildId).map((st) => ({ label: st, value: st, emoji: bugStatusEmoji(st, guildId), default: st === state.status }))
+    );
+  const assigneeSelect = new UserSelectMenuBuilder()
+    .setCustomId(encodeBugListId("a", base))
+    .setPlaceholder("Filter by assignee (clear to show all)")
+    .setMinValues(0)
+    .setMaxValues(1);
+  if (state.assigneeId) assigneeSelect.setDefaultUsers(state.assigneeId);
+  const reporterSelect = new UserSelectMenuBuilder()
+    .setCustomId(encodeBugListId("r", base))
+    .setPlaceholder("Filter by reporter (clear to show all)")
+    .setMinValues(0)
+    .setMaxValues(1);
+  if (state.reporterId) reporterSelect.setDefaultUsers(state.reporterId);
+
+  const rows = [
+    new ActionRowBuilder().addComponents(statusSelect),
+    new ActionRowBuilder().addComponents(assigneeSelect),
+    new ActionRowBuilder().addComponents(reporterSelect),
+  ];
+
+  const labels = [...new Set(Array.from(getBugStore(guildId).items.values()).flatMap((b) => b.labels || []))].sort().slice(0, 24);
+  if (labels.length) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(encodeBugListId("l", base))
+          .setPlaceholder("Filter by label")
+          .addOptions(
+            { label: "Any label", value: "any", default: !state.label },
+            ...labels.map((l) => ({ label: l, value: l, default: l === state.label }))
+          )
+      )
+    );
+  }
+
+  rows.push(
+    buildBugPagerRow(guildId, state, page, pageCount, [
+      new ButtonBuilder()
+        .setCustomId(encodeBugListId("x", defaultBugListState({ sort: state.sort })))
+        .setLabel("Clear Filters")
+        .setStyle(ButtonStyle.Danger)
+        .setDisabled(!filters),
+    ])
+  );
+
+  return { embeds: [embed], components: rows };
+}
+function applyBugListSelection(guildId, kind, state, values) {
+  const value = values?.[0] && values[0] !== "any" ? values[0] : null;
+  if (kind === "s") return { ...state, status: getBugStatusDef(guildId, value) ? value : null };
+  if (kind === "a") return { ...state, assigneeId: value };
+  if (kind === "r") return { ...state, reporterId: value };
+  if (kind === "l") return { ...state, label: value };
+  return state;
+}
+const BUG_BOARD_STATE = defaultBugListState({ sort: "urgency" });
+
+function buildBugBoardEmbed(guildId) {
+  const store = getBugStore(guildId);
+  const all = Array.from(store.items.values());
+
+  const open = all.filter((b) => !isBugClosedStatus(guildId, b.status));
+  const closed = all.filter((b) => isBugClosedStatus(guildId, b.status));
+
+  const { page, pageCount, items } = paginateBugs(filterBugs(guildId, BUG_BOARD_STATE), 0);
+  const lines = items.length ? items.map(buildBugCardLine) : ["No bug reports yet."];
+
+  return new EmbedBuilder()
+    .setColor(0xfee75c)
+    .setTitle("🐞 Bug Board")
+    .setDescription(
+      [
+        `**Open:** ${open.length} • **Closed:** ${closed.length} • **Total:** ${all.length}`,
+        "",
+        ...lines,
+        "",
+        `**Message content capture:** ${RUNTIME_MESSAGE_CONTENT_INTENT ? "ON" : "OFF"}`,
+      ].join("\n")
+    )
+    .setFooter({ text: `Page ${page + 1}/${pageCount} • use the buttons below to browse or filter` })
+    .setTimestamp(new Date());
+}
 const BUG_BOARD_REFRESH = "bug_board_refresh";
 const BUG_BOARD_STATUS_PREFIX = "bug_board_status:";
+const BUG_BOARD_STATUS_SELECT = "bug_board_status_select";
 const BUG_BOARD_COMMENT = "bug_board_comment";
 const BUG_BOARD_REOPEN = "bug_board_reopen";
 const BUG_BOARD_VIEW = "bug_board_view";
+const BUG_BOARD_TRIAGE = "bug_board_triage";
 
 const MODAL_BUG_STATUS_PREFIX = "modal_bug_status:";
 const MODAL_BUG_COMMENT = "modal_bug_comment";
 const MODAL_BUG_REOPEN = "modal_bug_reopen";
 const MODAL_BUG_VIEW = "modal_bug_view";
-
-function buildBugBoardComponents() {
+const MODAL_BUG_TRIAGE = "modal_bug_triage";
+const MODAL_BUG_EDIT_PREFIX = "modal_bug_edit:";
+const MODAL_TICKET_BUG = "modal_ticket_bug";
+
+const BUG_CARD_STATUS_PREFIX = "bug_card_status:";
+const BUG_CARD_COMMENT_PREFIX = "bug_card_comment:";
+const BUG_CARD_TRIAGE_PREFIX = "bug_card_triage:";
+const BUG_CARD_WATCH_PREFIX = "bug_card_watch:";
+
+function buildBugStatusOptions(guildId, statuses, current = null) {
+  return statuses.slice(0, 25).map((st) => ({
+    label: st,
+    value: st,
+    emoji: bugStatusEmoji(st, guildId),
+    description: [isBugClosedStatus(guildId, st) ? "closes the bug" : null, bugNoteRequired(guildId, st) ? "note required" : null]
+      .filter(Boolean)
+      .join(" • ") || undefined,
+    default: st === current,
+  }));
+}
+function buildBugBoardComponents(guildId) {
   const row1 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(BUG_BOARD_REFRESH).setLabel("Refresh").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`${BUG_BOARD_STATUS_PREFIX}OPEN`).setLabel("Set OPEN").setStyle(ButtonStyle.Danger),
-    new ButtonBuilder()
-      .setCustomId(`${BUG_BOARD_STATUS_PREFIX}IN_PROGRESS`)
-      .setLabel("Set IN_PROGRESS")
-      .setStyle(ButtonStyle.Primary),
-    new ButtonBuilder()
-      .setCustomId(`${BUG_BOARD_STATUS_PREFIX}WAITING`)
-      .setLabel("Set WAITING")
-      .setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder()
-      .setCustomId(`${BUG_BOARD_STATUS_PREFIX}RESOLVED`)
-      .setLabel("Set RESOLVED")
-      .setStyle(ButtonStyle.Success)
+    new StringSelectMenuBuilder()
+      .setCustomId(BUG_BOARD_STATUS_SELECT)
+      .setPlaceholder("Set a bug's status…")
+      .addOptions(buildBugStatusOptions(guildId, getBugStatuses(guildId)))
   );
 
   const row2 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(BUG_BOARD_REFRESH).setLabel("Refresh").setStyle(ButtonStyle.Secondary),
     new ButtonBuilder().setCustomId(BUG_BOARD_VIEW).setLabel("View Bug").setStyle(ButtonStyle.Secondary),
     new ButtonBuilder().setCustomId(BUG_BOARD_COMMENT).setLabel("Add Comment").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(BUG_BOARD_REOPEN).setLabel("Reopen").setStyle(ButtonStyle.Secondary)
+    new ButtonBuilder().setCustomId(BUG_BOARD_REOPEN).setLabel("Reopen").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(BUG_BOARD_TRIAGE).setLabel("Triage").setStyle(ButtonStyle.Primary)
+  );
+
+  const { pageCount } = paginateBugs(filterBugs(guildId, BUG_BOARD_STATE), 0);
+  const row3 = buildBugPagerRow(guildId, BUG_BOARD_STATE, 0, pageCount, [
+    new ButtonBuilder().setCustomId(encodeBugListId("f", BUG_BOARD_STATE)).setLabel("🔎 Filter").setStyle(ButtonStyle.Primary),
+  ]);
+
+  return [row1, row2, row3];
+}
+function buildBugIdInput() {
+  return new TextInputBuilder()
+    .setCustomId("id")
+    .setLabel("Bug ID (number)")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMaxLength(12);
+}
+function buildBugStatusModal(guildId, status, bugId = null) {
+  const modal = new ModalBuilder()
+    .setCustomId(`${MODAL_BUG_STATUS_PREFIX}${status}${bugId ? `:${bugId}` : ""}`)
+    .setTitle(clampText(bugId ? `Bug #${bugId}: Set ${status}` : `Set Status: ${status}`, 45));
+
+  const assignInput = new TextInputBuilder()
+    .setCustomId("assign")
+    .setLabel("Assign to (optional: @mention or user ID)")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false)
+    .setMaxLength(40);
+
+  const noteRequired = bugNoteRequired(guildId, status);
+  const noteInput = new TextInputBuilder()
+    .setCustomId("note")
+    .setLabel(noteRequired ? "Note (required for this status)" : "Note (optional)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(noteRequired)
+    .setMaxLength(900);
+
+  if (!bugId) modal.addComponents(new ActionRowBuilder().addComponents(buildBugIdInput()));
+  modal.addComponents(new ActionRowBuilder().addComponents(assignInput), new ActionRowBuilder().addComponents(noteInput));
+  return modal;
+}
+function buildBugCommentModal(bugId = null) {
+  const modal = new ModalBuilder()
+    .setCustomId(bugId ? `${MODAL_BUG_COMMENT}:${bugId}` : MODAL_BUG_COMMENT)
+    .setTitle(bugId ? `Comment on Bug #${bugId}` : "Add Bug Comment");
+
+  const textInput = new TextInputBuilder()
+    .setCustomId("text")
+    .setLabel("Comment")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(true)
+    .setMaxLength(900);
+
+  if (!bugId) modal.addComponents(new ActionRowBuilder().addComponents(buildBugIdInput()));
+  modal.addComponents(new ActionRowBuilder().addComponents(textInput));
+  return modal;
+}
+function buildBugEditModal(bug) {
+  const title = new TextInputBuilder()
+    .setCustomId("title")
+    .setLabel("Bug title")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMaxLength(100)
+    .setValue(clampText(bug.title, 100));
+  const report = new TextInputBuilder()
+    .setCustomId("report")
+    .setLabel(bug.fields?.length ? "Report (keep the \"Label:\" lines)" : "Description")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(true)
+    .setMaxLength(4000)
+    .setValue(clampText(bug.description, 4000));
+  return new ModalBuilder()
+    .setCustomId(`${MODAL_BUG_EDIT_PREFIX}${bug.id}`)
+    .setTitle(`Edit Bug #${bug.id}`)
+    .addComponents(new ActionRowBuilder().addComponents(title), new ActionRowBuilder().addComponents(report));
+}
+function buildTicketBugModal(ticket, recentText) {
+  const title = new TextInputBuilder().setCustomId("title").setLabel("Bug title").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100);
+  const seed = ticket.reason || ticket.answers?.[0]?.answer || "";
+  if (seed) title.setValue(clampText(seed.split("\n")[0], 100));
+  const report = new TextInputBuilder()
+    .setCustomId("report")
+    .setLabel("Report (edit down to what matters)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(true)
+    .setMaxLength(4000);
+  if (recentText) report.setValue(recentText.length > 4000 ? `…${recentText.slice(-3999)}` : recentText);
+  return new ModalBuilder()
+    .setCustomId(MODAL_TICKET_BUG)
+    .setTitle("File a Bug from this Ticket")
+    .addComponents(new ActionRowBuilder().addComponents(title), new ActionRowBuilder().addComponents(report));
+}
+function recentTicketText(channel, ticket, limit = 20) {
+  const cached = [...channel.messages.cache.values()]
+    .filter((m) => !m.author?.bot && String(m.content || "").trim())
+    .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+    .slice(-limit)
+    .map((m) => `${m.author.username}: ${m.content.trim()}`);
+  if (cached.length) return cached.join("\n");
+  if (ticket.answers?.length) return ticket.answers.map((a) => `${a.question}: ${a.answer}`).join("\n");
+  return ticket.reason || "";
+}
+function buildBugTriageModal(bug = null) {
+  const modal = new ModalBuilder()
+    .setCustomId(bug ? `${MODAL_BUG_TRIAGE}:${bug.id}` : MODAL_BUG_TRIAGE)
+    .setTitle(bug ? `Triage Bug #${bug.id}` : "Triage Bug");
+
+  const priorityInput = new TextInputBuilder()
+    .setCustomId("priority")
+    .setLabel(`Priority (${BUG_PRIORITIES.join("/")}, optional)`)
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false)
+    .setMaxLength(2);
+
+  const severityInput = new TextInputBuilder()
+    .setCustomId("severity")
+    .setLabel("Severity (optional)")
+    .setPlaceholder(BUG_SEVERITIES.join(" / "))
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false)
+    .setMaxLength(20);
+
+  const componentInput = new TextInputBuilder()
+    .setCustomId("component")
+    .setLabel("Component (optional)")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false)
+    .setMaxLength(50);
+
+  const labelsInput = new TextInputBuilder()
+    .setCustomId("labels")
+    .setLabel("Labels, comma-separated (replaces current)")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false)
+    .setMaxLength(300);
+
+  if (bug?.priority) priorityInput.setValue(bug.priority);
+  if (bug?.severity) severityInput.setValue(bug.severity);
+  if (bug?.component) componentInput.setValue(bug.component);
+  if (bug?.labels?.length) labelsInput.setValue(bug.labels.join(", "));
+
+  if (!bug) modal.addComponents(new ActionRowBuilder().addComponents(buildBugIdInput()));
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(priorityInput),
+    new ActionRowBuilder().addComponents(severityInput),
+    new ActionRowBuilder().addComponents(componentInput),
+    new ActionRowBuilder().addComponents(labelsInput)
+  );
+  return modal;
+}
+function matchBugModalId(customId, base) {
+  if (customId === base) return { bugId: null };
+  if (customId.startsWith(`${base}:`)) return { bugId: Number(customId.slice(base.length + 1)) };
+  return null;
+}
+function readModalBugId(interaction, boundId) {
+  if (boundId) return boundId;
+  const idRaw = interaction.fields.getTextInputValue("id");
+  return Number(String(idRaw || "").trim());
+}
+function buildBugCardComponents(bug) {
+  const statusSelect = new StringSelectMenuBuilder()
+    .setCustomId(`${BUG_CARD_STATUS_PREFIX}${bug.id}`)
+    .setPlaceholder("Set status…")
+    .addOptions(
+      buildBugStatusOptions(
+        bug.guildId,
+        getBugStatuses(bug.guildId).filter((st) => st === bug.status || getAllowedBugTransitions(bug.guildId, bug.status).includes(st)),
+        bug.status
+      )
+    );
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${BUG_CARD_COMMENT_PREFIX}${bug.id}`).setLabel("Add Comment").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`${BUG_CARD_TRIAGE_PREFIX}${bug.id}`).setLabel("Triage").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`${BUG_CARD_WATCH_PREFIX}${bug.id}`)
+      .setLabel(`👁 Watch (${getBugWatcherIds(bug).length})`)
+      .setStyle(ButtonStyle.Secondary)
+  );
+  if (bug.sourceMessageUrl) {
+    buttons.addComponents(new ButtonBuilder().setLabel("Original Report").setStyle(ButtonStyle.Link).setURL(bug.sourceMessageUrl));
+  }
+  if (bug.tracker?.url) buttons.addComponents(new ButtonBuilder().setLabel("Issue").setStyle(ButtonStyle.Link).setURL(bug.tracker.url));
+
+  return [new ActionRowBuilder().addComponents(statusSelect), buttons];
+}
+async function fetchBugBoardChannel(guild) {
+  const s = getSettings(guild.id);
+  if (!s.bug_board_channel_id) return null;
+  const ch = await guild.channels.fetch(s.bug_board_channel_id).catch(() => null);
+  if (!ch || !(ch.isTextBased() || ch.type === ChannelType.GuildForum)) return null;
+  return ch;
+}
+async function ensureBugCard(guild, bug) {
+  const board = await fetchBugBoardChannel(guild);
+  if (!board) return null;
+
+  const payload = { embeds: [buildBugDetailEmbed(bug)], components: buildBugCardComponents(bug) };
+
+  if (bug.cardMessageId && bug.cardBoardId === board.id) {
+    const ch = await guild.channels.fetch(bug.cardChannelId).catch(() => null);
+    const msg = ch?.isTextBased() ? await ch.messages.fetch(bug.cardMessageId).catch(() => null) : null;
+    if (msg) {
+      await msg.edit(payload).catch(() => null);
+      return msg;
+    }
+  }
+
+  const threadName = clampText(`#${bug.id} ${bug.title}`, 100);
+  let msg = null;
+  let thread = null;
+  if (board.type === ChannelType.GuildForum) {
+    thread = await board.threads.create({ name: threadName, message: payload }).catch(() => null);
+    msg = thread ? await thread.fetchStarterMessage().catch(() => null) : null;
+  } else {
+    msg = await board.send(payload).catch(() => null);
+    thread = msg ? await msg.startThread({ name: threadName }).catch(() => null) : null;
+  }
+  if (!msg) return null;
+
+  bug.cardBoardId = board.id;
+  bug.cardChannelId = msg.channel.id;
+  bug.cardMessageId = msg.id;
+  bug.threadId = thread?.id || null;
+  saveBug(guild.id, bug);
+  return msg;
+}
+async function fetchBugThread(guild, bug) {
+  if (!bug.threadId) return null;
+  const thread = await guild.channels.fetch(bug.threadId).catch(() => null);
+  if (!thread || !thread.isThread()) return null;
+  if (thread.archived && !thread.locked) await thread.setArchived(false).catch(() => null);
+  return thread;
+}
+async function mirrorBugCommentToThread(guild, bug, comment) {
+  const thread = await fetchBugThread(guild, bug);
+  if (!thread) return;
+  await thread
+    .send({ content: `💬 <@${comment.byId}>: ${clampText(comment.text, 1900)}`, allowedMentions: { parse: [] } })
+    .catch(() => null);
+}
+async function retireBugCard(guild, bug) {
+  const thread = bug.threadId ? await guild.channels.fetch(bug.threadId).catch(() => null) : null;
+  if (thread?.isThread()) {
+    await thread.setLocked(true).catch(() => null);
+    await thread.setArchived(true).catch(() => null);
+  }
+  if (!bug.cardMessageId || bug.cardChannelId === bug.threadId) return;
+  const ch = await guild.channels.fetch(bug.cardChannelId).catch(() => null);
+  const msg = ch?.isTextBased() ? await ch.messages.fetch(bug.cardMessageId).catch(() => null) : null;
+  await msg?.delete().catch(() => null);
+  bug.cardMessageId = null;
+  saveBug(guild.id, bug);
+}
+async function moveBugToTrash(guild, id, byId, reason) {
+  const bug = trashBug(guild.id, id, byId, reason);
+  if (!bug) return null;
+  await retireBugCard(guild, bug).catch(() => null);
+  await refreshBugBoard(guild).catch(() => null);
+  await sendLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(0xed4245)
+      .setTitle("🗑️ Bug Moved to Trash")
+      .setDescription(
+        [`**Bug:** #${bug.id} ${clampText(bug.title, 100)}`, `**By:** ${byId ? `<@${byId}>` : "(source message deleted)"}`, bug.deleteReason ? `**Reason:** ${bug.deleteReason}` : null]
+          .filter(Boolean)
+          .join("\n")
+      )
+      .setTimestamp(new Date())
+  );
+  return bug;
+}
+async function restoreBugFromTrash(guild, id, byId) {
+  const bug = restoreBug(guild.id, id, byId);
+  if (!bug) return null;
+  const thread = bug.threadId ? await guild.channels.fetch(bug.threadId).catch(() => null) : null;
+  if (thread?.isThread()) {
+    await thread.setArchived(false).catch(() => null);
+    await thread.setLocked(false).catch(() => null);
+  }
+  await refreshBugBoard(guild, bug).catch(() => null);
+  await sendLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(0x57f287)
+      .setTitle("♻️ Bug Restored")
+      .setDescription(`**Bug:** #${bug.id} ${clampText(bug.title, 100)}\n**By:** <@${byId}>`)
+      .setTimestamp(new Date())
+  );
+  return bug;
+}
+async function ensureBugBoardMessage(guild) {
+  const s = getSettings(guild.id);
+  if (!s.bug_board_channel_id) return null;
+
+  const ch = await fetchBugBoardChannel(guild);
+  if (!ch) return null;
+  const isForum = ch.type === ChannelType.GuildForum;
+
+  if (s.bug_board_message_id) {
+    const msg = isForum
+      ? await ch.threads
+          .fetch(s.bug_board_message_id)
+          .then((t) => t?.fetchStarterMessage())
+          .catch(() => null)
+      : await ch.messages.fetch(s.bug_board_message_id).catch(() => null);
+    if (msg) return msg;
+  }
+
+  const payload = { embeds: [buildBugBoardEmbed(guild.id)], components: buildBugBoardComponents(guild.id) };
+  const created = isForum
+    ? await ch.threads
+        .create({ name: "🐞 Bug Board", message: payload })
+        .then((t) => t.fetchStarterMessage())
+        .catch(() => null)
+    : await ch.send(payload).catch(() => null);
+  if (!created) return null;
+
+  setSettings(guild.id, { bug_board_message_id: created.id });
+  return created;
+}
+async function refreshBugBoard(guild, bug = null) {
+  if (bug) await ensureBugCard(guild, bug).catch(() => null);
+  const msg = await ensureBugBoardMessage(guild);
+  if (!msg) return false;
+  await msg.edit({ embeds: [buildBugBoardEmbed(guild.id)], components: buildBugBoardComponents(guild.id) }).catch(() => null);
+  return true;
+}
+async function syncBugCards(guild) {
+  let synced = 0;
+  for (const bug of getBugStore(guild.id).items.values()) {
+    if (await ensureBugCard(guild, bug).catch(() => null)) synced++;
+  }
+  await refreshBugBoard(guild);
+  return synced;
+}
+async function announceBugUpdate(guild, bug, changedById, extraText, { notify = true } = {}) {
+  const embed = new EmbedBuilder()
+    .setColor(bugStatusColor(bug.status, guild.id))
+    .setTitle(`🐞 Bug #${bug.id} Updated`)
+    .setDescription(
+      [
+        `**Status:** ${bugStatusEmoji(bug.status, guild.id)} **${bug.status}**`,
+        `**Changed by:** <@${changedById}>`,
+        bug.assignedToId ? `**Assigned:** <@${bug.assignedToId}>` : null,
+        bug.lastNote ? `**Note:** ${clampText(bug.lastNote, 900)}` : null,
+        extraText ? `**Update:** ${clampText(extraText, 900)}` : null,
+        bug.sourceMessageUrl ? `**Link:** ${bug.sourceMessageUrl}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .setTimestamp(new Date());
+
+  const s = getSettings(guild.id);
+  const targetChannelId = s.bug_updates_channel_id || s.bug_board_channel_id || s.bug_input_channel_id;
+  const fetched = targetChannelId ? await guild.channels.fetch(targetChannelId).catch(() => null) : null;
+  const ch = fetched?.isTextBased() ? fetched : null;
+  const thread = await fetchBugThread(guild, bug);
+
+  const tagReporter = notify && isBugClosedStatus(guild.id, bug.status);
+  await ch
+    ?.send({
+      content: tagReporter ? `<@${bug.reporterId}> Your report **#${bug.id}** was closed as **${bug.status}** ${bugStatusEmoji(bug.status, guild.id)}` : undefined,
+      allowedMentions: { users: tagReporter ? [bug.reporterId] : [] },
+      embeds: [embed],
+    })
+    .catch(() => null);
+  if (notify) notifyBugWatchers(guild, bug, changedById, embed).catch(() => null);
+
+  if (thread && thread.id !== ch?.id) await thread.send({ embeds: [embed], allowedMentions: { parse: [] } }).catch(() => null);
+
+  let ticketLinksChanged = false;
+  for (const link of bug.ticketLinks || []) {
+    if (link.lastStatus === bug.status || getTicket(link.channelId)?.status !== "open") continue;
+    link.lastStatus = bug.status;
+    ticketLinksChanged = true;
+    const ticketChannel = await guild.channels.fetch(link.channelId).catch(() => null);
+    if (ticketChannel?.isTextBased() && ticketChannel.id !== ch?.id) {
+      await ticketChannel.send({ embeds: [embed], allowedMentions: { parse: [] } }).catch(() => null);
+    }
+  }
+  if (ticketLinksChanged) saveBug(guild.id, bug);
+
+  await syncBugToTracker(guild, bug).catch((e) => console.error("[TRACKER SYNC ERROR]", e));
+}
+async function notifyBugWatchers(guild, bug, changedById, embed) {
+  const dm = EmbedBuilder.from(embed).setFooter({ text: `${guild.name} • /bug unwatch ${bug.id} or /bug notifications to stop these DMs` });
+  for (const userId of getBugWatcherIds(bug)) {
+    if (userId === changedById || isBugDmOptedOut(guild.id, userId)) continue;
+    const user = await guild.client.users.fetch(userId).catch(() => null);
+    if (user && !user.bot) await user.send({ embeds: [dm] }).catch(() => null);
+  }
+}
+const BUG_TRACKER_PROVIDER = String(process.env.BUG_TRACKER_PROVIDER || "github").toLowerCase();
+const BUG_TRACKER_BASE_URL = String(
+  process.env.BUG_TRACKER_BASE_URL || (BUG_TRACKER_PROVIDER === "gitlab" ? "https://gitlab.com/api/v4" : "https://api.github.com")
+).replace(/\/+$/, "");
+const BUG_TRACKER_TOKEN = String(process.env.BUG_TRACKER_TOKEN || "").trim();
+const BUG_TRACKER_WEBHOOK_SECRET = String(process.env.BUG_TRACKER_WEBHOOK_SECRET || "").trim();
+const BUG_TRACKER_TIMEOUT_MS = 10_000;
+const BUG_TRACKER_MARKER = "<!-- discord-bug-sync -->";
+
+function isBugTrackerConfigured() {
+  return Boolean(BUG_TRACKER_TOKEN) && ["github", "gitlab"].includes(BUG_TRACKER_PROVIDER);
+}
+function getBugTrackerRepo(guildId) {
+  return isBugTrackerConfigured() ? getSettings(guildId).bug_tracker_repo || null : null;
+}
+async function trackerRequest(method, pathname, body) {
+  const headers = { "Content-Type": "application/json", "User-Agent": "discord-bug-bot" };
+  if (BUG_TRACKER_PROVIDER === "gitlab") headers["PRIVATE-TOKEN"] = BUG_TRACKER_TOKEN;
+  else {
+    headers.Authorization = `Bearer ${BUG_TRACKER_TOKEN}`;
+    headers.Accept = "application/vnd.github+json";
+  }
+  const res = await fetch(`${BUG_TRACKER_BASE_URL}${pathname}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(BUG_TRACKER_TIMEOUT_MS),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`${method} ${pathname} → ${res.status} ${clampText(data?.message || "", 200)}`);
+  return data;
+}
+function trackerIssuePath(repo, number) {
+  return BUG_TRACKER_PROVIDER === "gitlab" ? `/projects/${encodeURIComponent(repo)}/issues/${number}` : `/repos/${repo}/issues/${number}`;
+}
+function buildTrackerIssueBody(guild, bug) {
+  return [
+    bug.description,
+    "",
+    bug.attachments?.length ? `Attachments:\n${bug.attachments.map((a) => `- [${a.name}](${a.url})`).join("\n")}\n` : null,
+    "---",
+    `Discord bug **#${bug.id}** in ${guild.name}${bug.sourceMessageUrl ? ` • [original report](${bug.sourceMessageUrl})` : ""}`,
+    BUG_TRACKER_MARKER,
+  ]
+    .filter((l) => l !== null)
+    .join("\n");
+}
+async function createTrackerIssue(guild, bug) {
+  const repo = getBugTrackerRepo(guild.id);
+  if (!repo || bug.tracker) return bug.tracker || null;
+
+  const labels = [...(bug.labels || []), bug.priority].filter(Boolean);
+  const created =
+    BUG_TRACKER_PROVIDER === "gitlab"
+      ? await trackerRequest("POST", `/projects/${encodeURIComponent(repo)}/issues`, {
+          title: bug.title,
+          description: buildTrackerIssueBody(guild, bug),
+          labels: labels.join(","),
+        })
+      : await trackerRequest("POST", `/repos/${repo}/issues`, { title: bug.title, body: buildTrackerIssueBody(guild, bug), labels });
+
+  bug.tracker = {
+    provider: BUG_TRACKER_PROVIDER,
+    repo,
+    number: BUG_TRACKER_PROVIDER === "gitlab" ? created.iid : created.number,
+    url: BUG_TRACKER_PROVIDER === "gitlab" ? created.web_url : created.html_url,
+    syncedEvents: getBugHistory(bug).length,
+  };
+  saveBug(guild.id, bug);
+  return bug.tracker;
+}
+async function setTrackerIssueState(link, open) {
+  const body = BUG_TRACKER_PROVIDER === "gitlab" ? { state_event: open ? "reopen" : "close" } : { state: open ? "open" : "closed" };
+  await trackerRequest(BUG_TRACKER_PROVIDER === "gitlab" ? "PUT" : "PATCH", trackerIssuePath(link.repo, link.number), body);
+}
+async function postTrackerComment(link, text) {
+  const suffix = BUG_TRACKER_PROVIDER === "gitlab" ? "notes" : "comments";
+  await trackerRequest("POST", `${trackerIssuePath(link.repo, link.number)}/${suffix}`, { body: `${text}\n\n${BUG_TRACKER_MARKER}` });
+}
+const trackerSyncsRunning = new Set();
+async function syncBugToTracker(guild, bug) {
+  const link = bug.tracker;
+  if (!link || !isBugTrackerConfigured() || link.provider !== BUG_TRACKER_PROVIDER) return;
+  const key = `${guild.id}:${bug.id}`;
+  if (trackerSyncsRunning.has(key)) return;
+  trackerSyncsRunning.add(key);
+
+  const nameOf = (id) => (id ? guild.client.users.cache.get(id)?.username || id : "someone");
+  try {
+    const history = getBugHistory(bug);
+    for (let i = link.syncedEvents ?? history.length; i < history.length; i++) {
+      const event = history[i];
+      if (event.type === "status" || event.type === "reopened") {
+        const open = !isBugClosedStatus(guild.id, event.to);
+        await setTrackerIssueState(link, open);
+        await postTrackerComment(link, `**${nameOf(event.byId)}** changed the status to **${event.to}** on Discord${event.note ? `:\n\n> ${event.note}` : "."}`);
+      } else if (event.type === "commented") {
+        await postTrackerComment(link, `**${nameOf(event.byId)}** commented on Discord:\n\n${event.text}`);
+      } else if (event.type === "edited" && event.changes?.title) {
+        await trackerRequest(BUG_TRACKER_PROVIDER === "gitlab" ? "PUT" : "PATCH", trackerIssuePath(link.repo, link.number), { title: bug.title });
+      }
+      link.syncedEvents = i + 1;
+      saveBug(guild.id, bug);
+    }
+  } catch (e) {
+    console.error("[TRACKER SYNC ERROR]", e);
+    await sendLog(
+      guild,
+      new EmbedBuilder()
+        .setColor(0xed4245)
+        .setTitle("⚠️ Issue Sync Failed")
+        .setDescription(`**Bug:** #${bug.id}\n**Issue:** ${link.url}\n**Error:** ${clampText(e?.message || e, 500)}`)
+        .setTimestamp(new Date())
+    );
+  } finally {
+    trackerSyncsRunning.delete(key);
+  }
+}
+function markBugTrackerSynced(guildId, bug) {
+  if (!bug.tracker) return;
+  bug.tracker.syncedEvents = getBugHistory(bug).length;
+  saveBug(guildId, bug);
+}
+async function createTrackerIssueAndLog(guild, bug) {
+  try {
+    const link = await createTrackerIssue(guild, bug);
+    if (link) await refreshBugBoard(guild, bug).catch(() => null);
+    return link;
+  } catch (e) {
+    console.error("[TRACKER CREATE ERROR]", e);
+    await sendLog(
+      guild,
+      new EmbedBuilder()
+        .setColor(0xed4245)
+        .setTitle("⚠️ Issue Not Created")
+        .setDescription(`**Bug:** #${bug.id}\n**Error:** ${clampText(e?.message || e, 500)}`)
+        .setTimestamp(new Date())
+    );
+    return null;
+  }
+}
+function verifyBugTrackerWebhook(req) {
+  if (!BUG_TRACKER_WEBHOOK_SECRET) return false;
+  const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+  if (BUG_TRACKER_PROVIDER === "gitlab") return safeEqual(String(req.get("X-Gitlab-Token") || ""), BUG_TRACKER_WEBHOOK_SECRET);
+  const expected = `sha256=${crypto.createHmac("sha256", BUG_TRACKER_WEBHOOK_SECRET).update(req.rawBody || "").digest("hex")}`;
+  return safeEqual(String(req.get("X-Hub-Signature-256") || ""), expected);
+}
+function parseBugTrackerWebhook(req) {
+  const p = req.body || {};
+  if (BUG_TRACKER_PROVIDER === "gitlab") {
+    const repo = p.project?.path_with_namespace;
+    const projectId = p.project?.id ?? null;
+    const attrs = p.object_attributes || {};
+    if (p.object_kind === "issue" && ["close", "reopen"].includes(attrs.action)) {
+      return { repo, projectId, number: attrs.iid, action: attrs.action === "close" ? "closed" : "reopened", author: p.user?.username };
+    }
+    if (p.object_kind === "note" && attrs.noteable_type === "Issue") {
+      return { repo, projectId, number: p.issue?.iid, action: "comment", author: p.user?.username, text: attrs.note };
+    }
+    return null;
+  }
+  const event = req.get("X-GitHub-Event");
+  const repo = p.repository?.full_name;
+  if (event === "issues" && ["closed", "reopened"].includes(p.action)) return { repo, number: p.issue?.number, action: p.action, author: p.sender?.login };
+  if (event === "issue_comment" && p.action === "created") {
+    return { repo, number: p.issue?.number, action: "comment", author: p.comment?.user?.login, text: p.comment?.body };
+  }
+  return null;
+}
+function findBugByTrackerIssue(repo, number, projectId = null) {
+  for (const [guildId, data] of bugStore) {
+    const linked = String(getSettings(guildId).bug_tracker_repo || "").toLowerCase();
+    if (!linked || (linked !== String(repo || "").toLowerCase() && linked !== String(projectId ?? ""))) continue;
+    for (const bug of data.items.values()) {
+      if (bug.tracker && bug.tracker.provider === BUG_TRACKER_PROVIDER && Number(bug.tracker.number) === Number(number)) return { guildId, bug };
+    }
+  }
+  return null;
+}
+async function handleBugTrackerWebhook(req, res) {
+  if (!isBugTrackerConfigured() || !verifyBugTrackerWebhook(req)) return res.status(401).json({ ok: false });
+  const hook = parseBugTrackerWebhook(req);
+  if (!hook) return res.status(200).json({ ok: true, ignored: true });
+  if (hook.action === "comment" && String(hook.text || "").includes(BUG_TRACKER_MARKER)) return res.status(200).json({ ok: true, ignored: true });
+
+  const found = findBugByTrackerIssue(hook.repo, hook.number, hook.projectId);
+  const guild = found ? client?.guilds.cache.get(found.guildId) : null;
+  if (!found || !guild) return res.status(404).json({ ok: false, error: "unknown issue" });
+  const { bug } = found;
+  const botId = guild.client.user.id;
+  const source = `${hook.author || "someone"} on ${BUG_TRACKER_PROVIDER === "gitlab" ? "GitLab" : "GitHub"}`;
+
+  if (hook.action === "comment") {
+    const updated = addBugComment(guild.id, bug.id, botId, `**${source}:** ${hook.text || ""}`);
+    if (!updated) return res.status(200).json({ ok: true, ignored: true });
+    markBugTrackerSynced(guild.id, updated);
+    await mirrorBugCommentToThread(guild, updated, updated.comments[updated.comments.length - 1]).catch(() => null);
+    await refreshBugBoard(guild, updated).catch(() => null);
+    await announceBugUpdate(guild, updated, botId, `Comment from ${source}: ${hook.text || ""}`).catch(() => null);
+    return res.status(200).json({ ok: true });
+  }
+
+  const closed = isBugClosedStatus(guild.id, bug.status);
+  if ((hook.action === "closed") === closed) return res.status(200).json({ ok: true, ignored: true });
+
+  const note = `${hook.action === "closed" ? "Closed" : "Reopened"} by ${source}`;
+  let updated;
+  let original = null;
+  if (hook.action === "reopened") {
+    if (validateBugStatusChange(guild.id, bug, "OPEN", note)) return res.status(409).json({ ok: false, error: "transition not allowed" });
+    original = bug.duplicateOfId ? getBug(guild.id, bug.duplicateOfId) : null;
+    updated = reopenBug(guild.id, bug.id, note, botId);
+  } else {
+    const target = getBugWorkflow(guild.id).statuses.find((st) => st.closed && st.name === "RESOLVED") || getBugWorkflow(guild.id).statuses.find((st) => st.closed);
+    if (!target || validateBugStatusChange(guild.id, bug, target.name, note)) return res.status(409).json({ ok: false, error: "transition not allowed" });
+    updated = setBugStatus(guild.id, bug.id, target.name, undefined, note, botId);
+  }
+  markBugTrackerSynced(guild.id, updated);
+  await refreshBugBoard(guild, updated).catch(() => null);
+  if (original) await ensureBugCard(guild, original).catch(() => null);
+  await announceBugUpdate(guild, updated, botId, note).catch(() => null);
+  return res.status(200).json({ ok: true });
+}
+
+const BUG_TEMPLATE_MAX_FIELDS = 4;
+const BUG_MAX_ATTACHMENTS = 5;
+const DEFAULT_BUG_TEMPLATE = [
+  { key: "steps", label: "Steps to reproduce", style: "paragraph", required: true },
+  { key: "expected_actual", label: "Expected vs actual", style: "paragraph", required: true },
+  { key: "version", label: "Version", style: "short", required: false },
+  { key: "platform", label: "Platform", style: "short", required: false },
+];
+
+function slugifyBugFieldLabel(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 30);
+}
+function getBugTemplate(guildId) {
+  const saved = getSettings(guildId).bug_report_template;
+  return saved?.length ? saved : DEFAULT_BUG_TEMPLATE;
+}
+function parseBugTemplateSpec(raw) {
+  const fields = [];
+  for (const part of String(raw || "").split("|")) {
+    const optional = part.trim().endsWith("?");
+    const label = clampText(part.trim().replace(/\?$/, "").trim(), 45);
+    const key = slugifyBugFieldLabel(label);
+    if (!key || key === "title" || fields.some((f) => f.key === key)) continue;
+    const style = DEFAULT_BUG_TEMPLATE.find((f) => f.key === key)?.style || "paragraph";
+    fields.push({ key, label, style, required: !optional });
+  }
+  if (!fields.length) return { error: "Give at least one field, separated by |." };
+  if (fields.length > BUG_TEMPLATE_MAX_FIELDS) return { error: `A template can have at most ${BUG_TEMPLATE_MAX_FIELDS} fields.` };
+  return { fields };
+}
+function buildBugTemplateText(guildId) {
+  return ["Title: ", ...getBugTemplate(guildId).map((f) => `${f.label}: `)].join("\n");
+}
+function renderBugFields(fields) {
+  return fields.map((f) => `${f.label}:\n${f.value}`).join("\n\n");
+}
+function buildBugReportModal(guildId) {
+  const modal = new ModalBuilder().setCustomId(MODAL_BUG_REPORT).setTitle("Report a Bug");
+  const title = new TextInputBuilder().setCustomId("title").setLabel("Bug title").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100);
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(title),
+    ...getBugTemplate(guildId).map((f) =>
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId(`f:${f.key}`)
+          .setLabel(f.label)
+          .setStyle(f.style === "short" ? TextInputStyle.Short : TextInputStyle.Paragraph)
+          .setRequired(Boolean(f.required))
+          .setMaxLength(f.style === "short" ? 100 : 1000)
+      )
+    )
   );
+  return modal;
+}
+function readBugReportModal(interaction, guildId) {
+  const fields = getBugTemplate(guildId)
+    .map((f) => ({ key: f.key, label: f.label, value: String(interaction.fields.fields.get(`f:${f.key}`)?.value || "").trim() }))
+    .filter((f) => f.value);
+  const title = String(interaction.fields.getTextInputValue("title") || "").trim();
+  return { title, description: renderBugFields(fields), fields, attachments: [] };
+}
+function parseBugReportText(guildId, content, { withTitle = true } = {}) {
+  const template = getBugTemplate(guildId);
+  const keyByLabel = new Map([["title", "title"]]);
+  for (const f of template) {
+    keyByLabel.set(f.key, f.key);
+    keyByLabel.set(slugifyBugFieldLabel(f.label), f.key);
+  }
+
+  let title = null;
+  let current = null;
+  const values = {};
+  const free = [];
+  for (const line of String(content || "").split("\n")) {
+    const m = line.match(/^\s*[*_]*([^:*_\n]{1,45}?)[*_]*\s*:[*_]*\s*(.*)$/);
+    const key = m ? keyByLabel.get(slugifyBugFieldLabel(m[1])) : null;
+    if (key === "title" && withTitle) {
+      title = m[2].trim();
+      current = null;
+    } else if (key) {
+      current = key;
+      values[key] = values[key] ? `${values[key]}\n${m[2]}` : m[2];
+    } else if (current) values[current] += `\n${line}`;
+    else free.push(line);
+  }
 
-  return [row1, row2];
+  if (!title && withTitle) {
+    const first = free.findIndex((l) => l.trim());
+    if (first !== -1) title = free.splice(first, 1)[0].trim();
+  }
+  const fields = template
+    .map((f) => ({ key: f.key, label: f.label, value: String(values[f.key] || "").trim().slice(0, 1000) }))
+    .filter((f) => f.value);
+  const details = free.join("\n").trim();
+  if (fields.length && details) fields.unshift({ key: "details", label: "Details", value: details.slice(0, 1000) });
+  return { title: title ? title.slice(0, 100) : null, fields };
 }
-async function ensureBugBoardMessage(guild) {
+
+async function submitBugReport(guild, user, { title, description, fields = [], attachments = [] }) {
   const s = getSettings(guild.id);
-  if (!s.bug_board_channel_id) return null;
+  const bugChannel = s.bug_input_channel_id ? await guild.channels.fetch(s.bug_input_channel_id).catch(() => null) : null;
+  if (!bugChannel || !bugChannel.isTextBased()) {
+    return { embeds: [new EmbedBuilder().setColor(0xed4245).setTitle("Bug Channel Invalid").setTimestamp(new Date())] };
+  }
 
-  const ch = await guild.channels.fetch(s.bug_board_channel_id).catch(() => null);
-  if (!ch || !ch.isTextBased()) return null;
+  const posted = await bugChannel
+    .send({
+      embeds: [
+        new EmbedBuilder()
+          .setColor(0xfee75c)
+          .setTitle("🐞 Bug Report")
+          .setDescription([`**From:** <@${user.id}>`, `**Title:** ${clampText(title, 200)}`, fields.length ? null : "", fields.length ? null : clampText(description, 1500)].filter((l) => l !== null).join("\n"))
+          .addFields(fields.map((f) => ({ name: clampText(f.label, 256), value: clampText(f.value, 1024) })))
+          .setTimestamp(new Date()),
+      ],
+      allowedMentions: { users: [user.id] },
+    })
+    .catch(() => null);
 
-  if (s.bug_board_message_id) {
-    const msg = await ch.messages.fetch(s.bug_board_message_id).catch(() => null);
-    if (msg) return msg;
+  if (!posted) {
+    return { embeds: [new EmbedBuilder().setColor(0xed4245).setTitle("Failed to Post Bug Report").setTimestamp(new Date())] };
   }
 
-  const created = await ch
-    .send({ embeds: [buildBugBoardEmbed(guild.id)], components: buildBugBoardComponents() })
-    .catch(() => null);
-  if (!created) return null;
+  const bug = createBug(guild.id, user.id, title, description, posted.channel.id, posted.id, { fields, attachments });
+  await refreshBugBoard(guild, bug).catch(() => null);
+  createTrackerIssueAndLog(guild, bug).catch(() => null);
 
-  setSettings(guild.id, { bug_board_message_id: created.id });
-  return created;
+  const embed = new EmbedBuilder()
+    .setColor(0x57f287)
+    .setTitle("✅ Bug Saved")
+    .setDescription([`**ID:** #${bug.id}`, bug.sourceMessageUrl ? `**Link:** ${bug.sourceMessageUrl}` : null].filter(Boolean).join("\n"))
+    .setTimestamp(new Date());
+  return { embeds: [embed] };
 }
-async function refreshBugBoard(guild) {
-  const msg = await ensureBugBoardMessage(guild);
-  if (!msg) return false;
-  await msg.edit({ embeds: [buildBugBoardEmbed(guild.id)], components: buildBugBoardComponents() }).catch(() => null);
-  return true;
+function bugFromMessage(message) {
+  const content = String(message.content || "").trim();
+  const attachments = [...message.attachments.values()].slice(0, BUG_MAX_ATTACHMENTS).map((a) => ({ name: a.name || "file", url: a.url }));
+  const parsed = parseBugReportText(message.guild.id, content);
+  const title = parsed.title || "Bug report";
+  const desc = parsed.fields.length ? renderBugFields(parsed.fields) : content ? content.slice(0, 900) : "(Message content not available.)";
+  return { title, description: desc, fields: parsed.fields, attachments };
 }
-async function announceBugUpdate(guild, bug, changedById, extraText) {
-  const s = getSettings(guild.id);
-  const targetChannelId = s.bug_updates_channel_id || s.bug_board_channel_id || s.bug_input_channel_id;
-  if (!targetChannelId) return;
+async function saveBugFromMessage(message) {
+  const parsed = bugFromMessage(message);
+  const bug = createBug(message.guild.id, message.author.id, parsed.title, parsed.description, message.channel.id, message.id, parsed);
 
-  const ch = await guild.channels.fetch(targetChannelId).catch(() => null);
-  if (!ch || !ch.isTextBased()) return;
+  message.react("✅").catch(() => null);
 
-  const embed = new EmbedBuilder()
-    .setColor(bug.status === "RESOLVED" ? 0x57f287 : 0x5865f2)
-    .setTitle(`🐞 Bug #${bug.id} Updated`)
+  const ackEmbed = new EmbedBuilder()
+    .setColor(0x57f287)
+    .setTitle("✅ Bug Saved")
     .setDescription(
       [
-        `**Status:** ${bugStatusEmoji(bug.status)} **${bug.status}**`,
-        `**Changed by:** <@${changedById}>`,
-        bug.assignedToId ? `**Assigned:** <@${bug.assignedToId}>` : null,
-        bug.lastNote ? `**Note:** ${clampText(bug.lastNote, 900)}` : null,
-        extraText ? `**Update:** ${clampText(extraText, 900)}` : null,
+        `**ID:** #${bug.id}`,
+        `**Reporter:** <@${message.author.id}>`,
+        `**Title:** ${clampText(bug.title, 100)}`,
         bug.sourceMessageUrl ? `**Link:** ${bug.sourceMessageUrl}` : null,
       ]
         .filter(Boolean)
@@ -557,25 +3651,25 @@ async function announceBugUpdate(guild, bug, changedById, extraText) {
     )
     .setTimestamp(new Date());
 
-  const tagReporter = bug.status === "RESOLVED";
-  await ch
-    .send({
-      content: tagReporter ? `<@${bug.reporterId}> Your report **#${bug.id}** was marked **RESOLVED** ✅` : undefined,
-      allowedMentions: { users: tagReporter ? [bug.reporterId] : [] },
-      embeds: [embed],
-    })
-    .catch(() => null);
-}
-function bugFromMessage(message) {
-  const content = String(message.content || "").trim();
-  const attachments = [...message.attachments.values()].map((a) => a.url).slice(0, 5);
-  const title = content ? content.split("\n")[0].slice(0, 100) : "Bug report";
-  const desc = content ? content.slice(0, 900) : "(Message content not available.)";
-  const extra = attachments.length ? `\n\nAttachments:\n${attachments.map((u) => `- ${u}`).join("\n")}` : "";
-  return { title, description: `${desc}${extra}` };
+  await message.reply({ embeds: [ackEmbed], allowedMentions: { users: [message.author.id] } }).catch(() => null);
+
+  await refreshBugBoard(message.guild, bug).catch(() => null);
+  createTrackerIssueAndLog(message.guild, bug).catch(() => null);
+
+  await sendLog(
+    message.guild,
+    new EmbedBuilder()
+      .setColor(0x57f287)
+      .setTitle("🐞 Bug Saved")
+      .setDescription(`**Bug:** #${bug.id}\n**Reporter:** <@${message.author.id}>\n**Channel:** <#${message.channel.id}>`)
+      .setTimestamp(new Date())
+  );
+  return bug;
 }
 
 const PANEL_TICKET_CREATE = "panel_ticket_create";
+const PANEL_TICKET_TYPE_SELECT = "panel_ticket_type";
+const MODAL_TICKET_INTAKE_PREFIX = "modal_ticket_intake:";
 const PANEL_BUG_REPORT = "panel_bug_report";
 const PANEL_BUG_BOARD = "panel_bug_board";
 const PANEL_MY_VOUCHES = "panel_my_vouches";
@@ -594,18 +3688,43 @@ function buildPanelEmbed(guild) {
         `**Ticket Staff Role:** ${s.ticket_staff_role_id ? `<@&${s.ticket_staff_role_id}>` : "(not set)"}`,
         `**Bug Input Channel:** ${s.bug_input_channel_id ? `<#${s.bug_input_channel_id}>` : "(not set)"}`,
         `**Bug Board Channel:** ${s.bug_board_channel_id ? `<#${s.bug_board_channel_id}>` : "(not set)"}`,
+        s.ticket_types?.length ? `**Ticket Types:** ${s.ticket_types.map((t) => t.name).join(", ")}` : null,
         "",
         "Public commands:",
         "• `/vouch @user [message]`",
         "• `/checkvouch [@user]`",
         "• `/topvouches`",
-      ].join("\n")
+      ]
+        .filter((l) => l !== null)
+        .join("\n")
     )
     .setTimestamp(new Date());
 }
-function buildPanelComponents() {
-  const row1 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(PANEL_TICKET_CREATE).setLabel("Create Ticket").setStyle(ButtonStyle.Primary),
+function buildPanelComponents(guild) {
+  const types = getTicketTypes(guild.id).slice(0, TICKET_TYPE_MAX);
+  const rows = [];
+  if (types.length) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(PANEL_TICKET_TYPE_SELECT)
+          .setPlaceholder("🎫 Create a ticket…")
+          .addOptions(
+            types.map((t) => ({
+              label: clampText(t.name, 100),
+              value: t.id,
+              description: t.description ? clampText(t.description, 100) : undefined,
+            }))
+          )
+      )
+    );
+  }
+
+  const row1 = new ActionRowBuilder();
+  if (!types.length) {
+    row1.addComponents(new ButtonBuilder().setCustomId(PANEL_TICKET_CREATE).setLabel("Create Ticket").setStyle(ButtonStyle.Primary));
+  }
+  row1.addComponents(
     new ButtonBuilder().setCustomId(PANEL_BUG_REPORT).setLabel("Report Bug").setStyle(ButtonStyle.Danger),
     new ButtonBuilder().setCustomId(PANEL_BUG_BOARD).setLabel("Bug Board").setStyle(ButtonStyle.Secondary)
   );
@@ -613,7 +3732,119 @@ function buildPanelComponents() {
     new ButtonBuilder().setCustomId(PANEL_MY_VOUCHES).setLabel("My Vouches").setStyle(ButtonStyle.Success),
     new ButtonBuilder().setCustomId(PANEL_TOP_VOUCHES).setLabel("Top Vouches").setStyle(ButtonStyle.Secondary)
   );
-  return [row1, row2];
+  rows.push(row1, row2);
+  return rows;
+}
+function buildTicketIntakeModal(ticketType) {
+  const questions = ticketType.questions?.length ? ticketType.questions : DEFAULT_INTAKE_QUESTIONS;
+  const modal = new ModalBuilder()
+    .setCustomId(`${MODAL_TICKET_INTAKE_PREFIX}${ticketType.id}`)
+    .setTitle(clampText(`${ticketType.name} Ticket`, 45));
+
+  modal.addComponents(
+    ...questions.slice(0, TICKET_TYPE_MAX_QUESTIONS).map((q, i) => {
+      const input = new TextInputBuilder()
+        .setCustomId(`q${i}`)
+        .setLabel(clampText(q, 45))
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(true)
+        .setMaxLength(1000);
+      if (q.length > 45) input.setPlaceholder(clampText(q, 100));
+      return new ActionRowBuilder().addComponents(input);
+    })
+  );
+  return modal;
+}
+function guardTicketCreation(interaction, guild) {
+  const member = interaction.member;
+  if (!member) {
+    safeReply(interaction, { content: "Could not fetch your member.", ephemeral: true });
+    return null;
+  }
+
+  const check = checkTicketCreationAllowed(guild, member);
+  if (check.ok) return member;
+
+  const embed = new EmbedBuilder()
+    .setColor(check.code === "limit" ? 0x5865f2 : 0xed4245)
+    .setTitle(check.code === "limit" ? "🎫 You Already Have a Ticket" : "🚫 Cannot Open Ticket")
+    .setDescription(check.reason)
+    .setTimestamp(new Date());
+  safeReply(interaction, { embeds: [embed], ephemeral: true }).then(() =>
+    sendLog(
+      guild,
+      new EmbedBuilder()
+        .setColor(0xfee75c)
+        .setTitle("🚫 Ticket Creation Blocked")
+        .setDescription(`**User:** <@${member.id}>\n**Rule:** ${check.code}`)
+        .setTimestamp(new Date())
+    )
+  );
+  return null;
+}
+async function openTicketForInteraction(interaction, guild, reasonText, ticketType = null, answers = []) {
+  const member = guardTicketCreation(interaction, guild);
+  if (!member) return null;
+
+  await interaction.deferReply({ ephemeral: true }).catch(() => null);
+  const ch = await createTicketChannel(guild, member, reasonText, ticketType, answers).catch((e) => {
+    console.error("[TICKET CREATE ERROR]", e);
+    return null;
+  });
+  if (!ch) return safeEdit(interaction, { content: "Could not create the ticket channel. Check my permissions." });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle("🎫 Ticket Created")
+    .setDescription(`Your ticket is ready: <#${ch.id}>`)
+    .setTimestamp(new Date());
+
+  return safeEdit(interaction, { embeds: [embed] });
+}
+
+function initStorage() {
+  store = createStore();
+  const loaded = store.loadAll();
+  const counters = new Map(loaded.counters);
+
+  const legacyTicketCounters = new Map();
+  for (const [guildId, { ticket_counter, ...s }] of loaded.settings) {
+    guildSettings.set(guildId, { ...getSettings(guildId), ...s });
+    if (ticket_counter !== undefined) legacyTicketCounters.set(guildId, Number(ticket_counter) || 0);
+  }
+  for (const [channelId, raw] of loaded.tickets) tickets.set(channelId, deserializeTicket(raw));
+  for (const [guildId, v] of loaded.vouches) {
+    const data = getVouchData(guildId);
+    data.items.push(v);
+    data.counter = Math.max(data.counter, v.id);
+  }
+  for (const data of vouchStore.values()) data.items.sort((a, b) => a.id - b.id);
+  for (const [guildId, b] of loaded.bugs) {
+    const data = getBugStore(guildId);
+    (b.deletedAtMs ? data.trash : data.items).set(b.id, { ...b, guildId });
+    data.counter = Math.max(data.counter, b.id);
+  }
+  for (const [key, value] of counters) {
+    const [guildId, name] = key.split(":");
+    if (name === "vouch") getVouchData(guildId).counter = Math.max(getVouchData(guildId).counter, Number(value) || 0);
+    if (name === "bug") getBugStore(guildId).counter = Math.max(getBugStore(guildId).counter, Number(value) || 0);
+    if (name === "ticket") ticketCounters.set(guildId, Number(value) || 0);
+  }
+  for (const [guildId, value] of legacyTicketCounters) {
+    if (value > getTicketCounter(guildId)) setTicketCounter(guildId, value);
+    persist((st) => st.saveSettings(guildId, getSettings(guildId)));
+  }
+
+  console.log(
+    `[STORAGE] ${store.name}: ${guildSettings.size} guild(s), ${tickets.size} ticket(s), ${loaded.vouches.length} vouch(es), ${loaded.bugs.length} bug(s)`
+  );
+}
+function flushStorage() {
+  try {
+    store?.flush();
+  } catch (e) {
+    console.error("[STORAGE] Flush failed", e);
+  }
 }
 
 function createDiscordClient(messageContent) {
@@ -627,8 +3858,11 @@ function createDiscordClient(messageContent) {
 
 let client = null;
 let intentsFallbackUsed = false;
+let ticketSweepTimer = null;
 
-const bugStatusChoices = BUG_STATUSES.map((s) => ({ name: s, value: s }));
+const bugPriorityChoices = BUG_PRIORITIES.map((p) => ({ name: p, value: p }));
+const bugSeverityChoices = BUG_SEVERITIES.map((s) => ({ name: s, value: s }));
+const bugSortChoices = Object.keys(BUG_SORTS).map((k) => ({ name: k, value: k }));
 
 const commands = [
   new SlashCommandBuilder().setName("ping").setDescription("Pong + latency."),
@@ -641,6 +3875,18 @@ const commands = [
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
     .addChannelOption((o) => o.setName("channel").setDescription("Logs channel").setRequired(true)),
 
+  new SlashCommandBuilder()
+    .setName("settranscriptchannel")
+    .setDescription("Set the channel where closed ticket transcripts are archived.")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addChannelOption((o) => o.setName("channel").setDescription("Transcript channel").setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName("setticketdashboard")
+    .setDescription("Post the live ticket staff dashboard in a channel.")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addChannelOption((o) => o.setName("channel").setDescription("Dashboard channel").setRequired(true)),
+
   new SlashCommandBuilder()
     .setName("setticketstaffrole")
     .setDescription("Set the staff role that can view and manage tickets.")
@@ -657,7 +3903,7 @@ const commands = [
     .setDescription("Configure bug channels (input + board + optional updates).")
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
     .addChannelOption((o) => o.setName("input").setDescription("Bug Input Channel").setRequired(true))
-    .addChannelOption((o) => o.setName("board").setDescription("Bug Board Channel").setRequired(true))
+    .addChannelOption((o) => o.setName("board").setDescription("Bug Board Channel (text or forum)").setRequired(true))
     .addChannelOption((o) => o.setName("updates").setDescription("Bug Updates Channel (optional)").setRequired(false)),
 
   new SlashCommandBuilder()
@@ -673,8 +3919,36 @@ const commands = [
         .setName("create")
         .setDescription("Create a ticket.")
         .addStringOption((o) => o.setName("reason").setDescription("Reason (optional)").setRequired(false))
+        .addStringOption((o) => o.setName("type").setDescription("Ticket type (optional)").setRequired(false))
     )
     .addSubcommand((s) => s.setName("close").setDescription("Close the current ticket channel."))
+    .addSubcommand((s) => s.setName("reopen").setDescription("Reopen a closed ticket during its grace period (staff)."))
+    .addSubcommand((s) => s.setName("stats").setDescription("Show ticket workload and response statistics (staff)."))
+    .addSubcommand((s) =>
+      s
+        .setName("ratings")
+        .setDescription("Show feedback ratings per staff member (staff).")
+        .addUserOption((o) => o.setName("staff").setDescription("Show recent feedback for one staff member").setRequired(false))
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("blacklist")
+        .setDescription("Bar users from opening tickets (staff).")
+        .addSubcommand((s) =>
+          s
+            .setName("add")
+            .setDescription("Blacklist a user from opening tickets.")
+            .addUserOption((o) => o.setName("user").setDescription("User").setRequired(true))
+            .addStringOption((o) => o.setName("reason").setDescription("Reason (optional)").setRequired(false).setMaxLength(300))
+        )
+        .addSubcommand((s) =>
+          s
+            .setName("remove")
+            .setDescription("Remove a user from the ticket blacklist.")
+            .addUserOption((o) => o.setName("user").setDescription("User").setRequired(true))
+        )
+        .addSubcommand((s) => s.setName("list").setDescription("List blacklisted users."))
+    )
     .addSubcommand((s) =>
       s
         .setName("info")
@@ -692,7 +3966,20 @@ const commands = [
         .setDescription("Remove a user from this ticket (staff).")
         .addUserOption((o) => o.setName("user").setDescription("User").setRequired(true))
     )
+    .addSubcommand((s) =>
+      s
+        .setName("bug")
+        .setDescription("File a bug from this ticket, or link an existing one.")
+        .addIntegerOption((o) => o.setName("id").setDescription("Link this existing bug instead of filing a new one").setRequired(false).setMinValue(1))
+    )
     .addSubcommand((s) => s.setName("claim").setDescription("Claim this ticket (staff)."))
+    .addSubcommand((s) => s.setName("unclaim").setDescription("Release your claim on this ticket (staff)."))
+    .addSubcommand((s) =>
+      s
+        .setName("transfer")
+        .setDescription("Hand this ticket over to another staff member (staff).")
+        .addUserOption((o) => o.setName("staff").setDescription("Staff member").setRequired(true))
+    )
     .addSubcommand((s) =>
       s
         .setName("assign")
@@ -708,10 +3995,185 @@ const commands = [
     .addSubcommand((s) =>
       s
         .setName("transcript")
-        .setDescription("Export a transcript for this ticket.")
+        .setDescription("Export a transcript (HTML + TXT) for this ticket.")
         .addIntegerOption((o) =>
-          o.setName("limit").setDescription("Messages (10-200)").setRequired(false).setMinValue(10).setMaxValue(200)
+          o
+            .setName("limit")
+            .setDescription("Messages (10-10000, default all)")
+            .setRequired(false)
+            .setMinValue(10)
+            .setMaxValue(TRANSCRIPT_MAX_MESSAGES)
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName("ticketconfig")
+    .setDescription("Configure ticket behaviour (Manage Server). Run without options to view.")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addIntegerOption((o) =>
+      o
+        .setName("close_grace_minutes")
+        .setDescription("Minutes a closed ticket stays locked before deletion (0 = delete now)")
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(TICKET_CLOSE_GRACE_MAX_MINUTES)
+    )
+    .addIntegerOption((o) =>
+      o.setName("sla_minutes").setDescription("Ping staff if no staff reply within N minutes (0 = off)").setRequired(false).setMinValue(0).setMaxValue(10_080)
+    )
+    .addIntegerOption((o) =>
+      o
+        .setName("inactivity_warn_hours")
+        .setDescription("Warn the owner after N idle hours (0 = off)")
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(720)
+    )
+    .addIntegerOption((o) =>
+      o
+        .setName("auto_close_hours")
+        .setDescription("Auto-close N hours after the inactivity warning (0 = off)")
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(720)
+    )
+    .addBooleanOption((o) =>
+      o.setName("feedback_survey").setDescription("DM owners a rating survey after close").setRequired(false)
+    )
+    .addBooleanOption((o) =>
+      o.setName("claim_lock").setDescription("Claimed tickets are read-only to other staff").setRequired(false)
+    )
+    .addIntegerOption((o) =>
+      o
+        .setName("max_open_per_user")
+        .setDescription("Max open tickets per user (0 = unlimited)")
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(25)
+    )
+    .addIntegerOption((o) =>
+      o
+        .setName("create_cooldown_minutes")
+        .setDescription("Minutes a user must wait between new tickets (0 = off)")
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(10_080)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("tickettype")
+    .setDescription("Manage ticket types (Manage Server).")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((s) =>
+      s
+        .setName("set")
+        .setDescription("Create or update a ticket type.")
+        .addStringOption((o) => o.setName("name").setDescription("Type name (e.g. Billing)").setRequired(true).setMaxLength(50))
+        .addStringOption((o) => o.setName("description").setDescription("Shown in the panel menu").setRequired(false).setMaxLength(100))
+        .addChannelOption((o) =>
+          o.setName("category").setDescription("Category for these tickets").setRequired(false).addChannelTypes(ChannelType.GuildCategory)
+        )
+        .addRoleOption((o) => o.setName("staff_role").setDescription("Staff role for these tickets").setRequired(false))
+        .addStringOption((o) => o.setName("prefix").setDescription("Channel name prefix (e.g. billing)").setRequired(false).setMaxLength(20))
+        .addStringOption((o) =>
+          o.setName("questions").setDescription("Intake questions separated by | (max 5)").setRequired(false).setMaxLength(1000)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("remove")
+        .setDescription("Remove a ticket type.")
+        .addStringOption((o) => o.setName("name").setDescription("Type name").setRequired(true))
+    )
+    .addSubcommand((s) => s.setName("list").setDescription("List ticket types.")),
+
+  new SlashCommandBuilder()
+    .setName("bugconfig")
+    .setDescription("Configure bug behaviour (Manage Server). Run without options to view.")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addBooleanOption((o) => o.setName("references").setDescription("Reply with a bug card when someone writes bug#42").setRequired(false))
+    .addIntegerOption((o) =>
+      o
+        .setName("reference_cooldown_seconds")
+        .setDescription("Seconds before the same bug is shown again in a channel")
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(86_400)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("bugstatus")
+    .setDescription("Configure the bug workflow (Manage Server).")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((s) =>
+      s
+        .setName("set")
+        .setDescription("Create or update a bug status.")
+        .addStringOption((o) => o.setName("name").setDescription("Status name (e.g. NEEDS_INFO)").setRequired(true).setMaxLength(20).setAutocomplete(true))
+        .addStringOption((o) => o.setName("emoji").setDescription("Emoji shown next to the status").setRequired(false).setMaxLength(64))
+        .addStringOption((o) => o.setName("color").setDescription("Hex colour, e.g. #57f287").setRequired(false).setMaxLength(7))
+        .addBooleanOption((o) => o.setName("closed").setDescription("Bugs in this status count as closed").setRequired(false))
+        .addBooleanOption((o) => o.setName("require_note").setDescription("Moving a bug here requires a note").setRequired(false))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("remove")
+        .setDescription("Remove a custom bug status.")
+        .addStringOption((o) => o.setName("name").setDescription("Status").setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("transitions")
+        .setDescription("Set which statuses a status may move to.")
+        .addStringOption((o) => o.setName("name").setDescription("From status").setRequired(true).setAutocomplete(true))
+        .addStringOption((o) =>
+          o.setName("to").setDescription("Allowed statuses separated by commas, \"any\", or \"none\"").setRequired(true).setMaxLength(500)
+        )
+    )
+    .addSubcommand((s) => s.setName("list").setDescription("Show the bug workflow."))
+    .addSubcommand((s) => s.setName("reset").setDescription("Restore the default bug workflow.")),
+
+  new SlashCommandBuilder()
+    .setName("bugtemplate")
+    .setDescription("Configure the bug report template (Manage Server).")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((s) =>
+      s
+        .setName("set")
+        .setDescription("Set the report fields.")
+        .addStringOption((o) =>
+          o
+            .setName("fields")
+            .setDescription(`Field labels separated by | (max ${BUG_TEMPLATE_MAX_FIELDS}); end a label with ? to make it optional`)
+            .setRequired(true)
+            .setMaxLength(200)
         )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("show")
+        .setDescription("Show the report template.")
+        .addBooleanOption((o) => o.setName("post").setDescription("Also post the text template in the bug input channel").setRequired(false))
+    )
+    .addSubcommand((s) => s.setName("reset").setDescription("Restore the default report template.")),
+
+  new SlashCommandBuilder()
+    .setName("bugtracker")
+    .setDescription("Sync bugs with GitHub/GitLab issues (Manage Server).")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((s) =>
+      s
+        .setName("link")
+        .setDescription("Create issues for new bugs in this repository.")
+        .addStringOption((o) => o.setName("repo").setDescription("owner/repo (GitHub) or group/project (GitLab)").setRequired(true).setMaxLength(200))
+    )
+    .addSubcommand((s) => s.setName("unlink").setDescription("Stop creating and syncing issues."))
+    .addSubcommand((s) => s.setName("status").setDescription("Show the tracker integration settings."))
+    .addSubcommand((s) =>
+      s
+        .setName("push")
+        .setDescription("Create an issue for an existing bug.")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
     ),
 
   new SlashCommandBuilder()
@@ -725,6 +4187,31 @@ const commands = [
     .setDescription("Check vouches for a user (public).")
     .addUserOption((o) => o.setName("user").setDescription("User (optional)").setRequired(false)),
 
+  new SlashCommandBuilder()
+    .setName("vouchconfig")
+    .setDescription("Configure vouch anti-abuse rules (Manage Server). Run without options to view.")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addIntegerOption((o) =>
+      o
+        .setName("pair_cooldown_days")
+        .setDescription("Days before the same user can vouch for the same person again (0 = off, -1 = only once)")
+        .setRequired(false)
+        .setMinValue(-1)
+        .setMaxValue(3650)
+    )
+    .addIntegerOption((o) =>
+      o.setName("min_account_age_days").setDescription("Minimum Discord account age to vouch (0 = off)").setRequired(false).setMinValue(0).setMaxValue(3650)
+    )
+    .addIntegerOption((o) =>
+      o.setName("min_member_age_days").setDescription("Minimum days in this server to vouch (0 = off)").setRequired(false).setMinValue(0).setMaxValue(3650)
+    )
+    .addIntegerOption((o) =>
+      o.setName("daily_cap").setDescription("Vouches one user can give per 24 hours (0 = unlimited)").setRequired(false).setMinValue(0).setMaxValue(1000)
+    )
+    .addBooleanOption((o) =>
+      o.setName("ring_detection").setDescription("Block vouching back or closing vouch rings within 30 days").setRequired(false)
+    ),
+
   new SlashCommandBuilder().setName("topvouches").setDescription("Show the most vouched users (public)."),
 
   new SlashCommandBuilder()
@@ -738,39 +4225,180 @@ const commands = [
     .addSubcommand((s) => s.setName("board").setDescription("Refresh bug board (Manage Server)."))
     .addSubcommand((s) =>
       s
-        .setName("view")
-        .setDescription("View a bug by ID.")
+        .setName("view")
+        .setDescription("View a bug by ID.")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("list")
+        .setDescription("Browse bugs page by page, with filters.")
+        .addStringOption((o) => o.setName("sort").setDescription("Sort order (default newest)").setRequired(false).addChoices(...bugSortChoices))
+        .addStringOption((o) => o.setName("status").setDescription("Only this status").setRequired(false).setAutocomplete(true))
+        .addUserOption((o) => o.setName("assignee").setDescription("Only bugs assigned to this user").setRequired(false))
+        .addUserOption((o) => o.setName("reporter").setDescription("Only bugs reported by this user").setRequired(false))
+        .addStringOption((o) => o.setName("label").setDescription("Only bugs with this label").setRequired(false))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("search")
+        .setDescription("Search bugs by keyword.")
+        .addStringOption((o) => o.setName("query").setDescription("Keyword").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("status")
+        .setDescription("Update bug status (Manage Server).")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+        .addStringOption((o) => o.setName("status").setDescription("New status").setRequired(true).setAutocomplete(true))
+        .addUserOption((o) => o.setName("assign").setDescription("Assign to (optional)").setRequired(false))
+        .addStringOption((o) => o.setName("note").setDescription("Note (optional)").setRequired(false))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("comment")
+        .setDescription("Add a comment to a bug (Manage Server).")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+        .addStringOption((o) => o.setName("text").setDescription("Comment").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("reopen")
+        .setDescription("Reopen a bug (Manage Server).")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+        .addStringOption((o) => o.setName("note").setDescription("Note (optional)").setRequired(false))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("stats")
+        .setDescription("Bug counts, time to resolve and who is working on what.")
+        .addStringOption((o) =>
+          o
+            .setName("period")
+            .setDescription("Time window (default 7d)")
+            .setRequired(false)
+            .addChoices(...Object.entries(BUG_STATS_PERIODS).map(([value, name]) => ({ name, value })))
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("digest")
+        .setDescription("Turn the weekly bug digest in the updates channel on or off (Manage Server).")
+        .addBooleanOption((o) => o.setName("enabled").setDescription("Post the weekly digest").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("history")
+        .setDescription("Export a bug's full change history.")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+        .addStringOption((o) =>
+          o
+            .setName("format")
+            .setDescription("File format (default text)")
+            .setRequired(false)
+            .addChoices({ name: "text", value: "text" }, { name: "json", value: "json" })
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("export")
+        .setDescription("Export bugs as a CSV, JSON or Markdown file.")
+        .addStringOption((o) =>
+          o
+            .setName("format")
+            .setDescription("File format")
+            .setRequired(true)
+            .addChoices({ name: "csv", value: "csv" }, { name: "json", value: "json" }, { name: "markdown", value: "markdown" })
+        )
+        .addStringOption((o) => o.setName("status").setDescription("Only this status").setRequired(false).setAutocomplete(true))
+        .addStringOption((o) => o.setName("since").setDescription("Only bugs updated since (e.g. 7d, 24h, 2025-01-31)").setRequired(false))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("import")
+        .setDescription("Import bugs from a JSON or CSV file, keeping their IDs (Manage Server).")
+        .addAttachmentOption((o) => o.setName("file").setDescription("JSON or CSV export").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("edit")
+        .setDescription("Edit a bug's title and description (reporter or Manage Server).")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("delete")
+        .setDescription("Move a bug to the trash (Manage Server).")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+        .addStringOption((o) => o.setName("reason").setDescription("Reason").setRequired(false).setMaxLength(300))
+        .addBooleanOption((o) => o.setName("permanent").setDescription("Erase a bug that is already in the trash").setRequired(false))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("restore")
+        .setDescription("Restore a bug from the trash (Manage Server).")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+    )
+    .addSubcommand((s) => s.setName("trash").setDescription("List bugs in the trash (Manage Server)."))
+    .addSubcommand((s) =>
+      s
+        .setName("watch")
+        .setDescription("Get a DM whenever a bug changes.")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("unwatch")
+        .setDescription("Stop getting DMs for a bug.")
         .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
     )
-    .addSubcommand((s) => s.setName("list").setDescription("List recent bugs (last 10)."))
     .addSubcommand((s) =>
       s
-        .setName("search")
-        .setDescription("Search bugs by keyword.")
-        .addStringOption((o) => o.setName("query").setDescription("Keyword").setRequired(true))
+        .setName("notifications")
+        .setDescription("Turn all bug DMs on or off for yourself.")
+        .addBooleanOption((o) => o.setName("enabled").setDescription("Receive bug DMs").setRequired(true))
     )
     .addSubcommand((s) =>
       s
-        .setName("status")
-        .setDescription("Update bug status (Manage Server).")
+        .setName("duplicate")
+        .setDescription("Close a bug as a duplicate and merge it into the original (Manage Server).")
+        .addIntegerOption((o) => o.setName("id").setDescription("Duplicate bug ID").setRequired(true).setMinValue(1))
+        .addIntegerOption((o) => o.setName("of").setDescription("Original bug ID").setRequired(true).setMinValue(1))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("priority")
+        .setDescription("Set bug priority (Manage Server).")
         .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
-        .addStringOption((o) => o.setName("status").setDescription("New status").setRequired(true).addChoices(...bugStatusChoices))
-        .addUserOption((o) => o.setName("assign").setDescription("Assign to (optional)").setRequired(false))
-        .addStringOption((o) => o.setName("note").setDescription("Note (optional)").setRequired(false))
+        .addStringOption((o) => o.setName("priority").setDescription("Priority").setRequired(true).addChoices(...bugPriorityChoices))
     )
     .addSubcommand((s) =>
       s
-        .setName("comment")
-        .setDescription("Add a comment to a bug (Manage Server).")
+        .setName("severity")
+        .setDescription("Set bug severity (Manage Server).")
         .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
-        .addStringOption((o) => o.setName("text").setDescription("Comment").setRequired(true))
+        .addStringOption((o) => o.setName("severity").setDescription("Severity").setRequired(true).addChoices(...bugSeverityChoices))
     )
     .addSubcommand((s) =>
       s
-        .setName("reopen")
-        .setDescription("Reopen a bug (Manage Server).")
+        .setName("component")
+        .setDescription("Set the component/area of a bug (Manage Server).")
         .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
-        .addStringOption((o) => o.setName("note").setDescription("Note (optional)").setRequired(false))
+        .addStringOption((o) => o.setName("component").setDescription("Component (empty to clear)").setRequired(false).setMaxLength(50))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("label")
+        .setDescription("Add or remove a bug label (Manage Server).")
+        .addIntegerOption((o) => o.setName("id").setDescription("Bug ID").setRequired(true).setMinValue(1))
+        .addStringOption((o) =>
+          o
+            .setName("action")
+            .setDescription("Add or remove")
+            .setRequired(true)
+            .addChoices({ name: "add", value: "add" }, { name: "remove", value: "remove" })
+        )
+        .addStringOption((o) => o.setName("label").setDescription("Label").setRequired(true).setMaxLength(30))
     ),
 
   new SlashCommandBuilder()
@@ -793,9 +4421,32 @@ async function registerCommands() {
 }
 
 function wireClientEvents(c) {
-  c.once("ready", () => {
+  c.once("ready", async () => {
     console.log(`[DISCORD] Logged in as ${c.user.tag}`);
     console.log(`[DISCORD] MessageContentIntent=${RUNTIME_MESSAGE_CONTENT_INTENT ? "ON" : "OFF"}`);
+
+    if (ticketSweepTimer) clearInterval(ticketSweepTimer);
+    let ticks = 0;
+    ticketSweepTimer = setInterval(() => {
+      sweepClosedTickets(c).catch((e) => console.error("[TICKETS] Sweep failed", e));
+      checkTicketTimers(c).catch((e) => console.error("[TICKETS] Timer check failed", e));
+      checkBugDigests(c).catch((e) => console.error("[BUGS] Digest failed", e));
+      if (++ticks % 5 === 0) {
+        for (const guild of c.guilds.cache.values()) refreshTicketDashboard(guild).catch(() => null);
+      }
+    }, 60_000);
+
+    for (const guild of c.guilds.cache.values()) {
+      const summary = await reconcileTickets(guild).catch((e) => {
+        console.error(`[TICKETS] Reconcile failed for ${guild.id}`, e);
+        return null;
+      });
+      if (summary) {
+        console.log(
+          `[TICKETS] ${guild.id}: restored=${summary.restored.length} orphans=${summary.orphanChannels.length} stale=${summary.staleRecords.length}`
+        );
+      }
+    }
   });
 
   c.on("messageCreate", async (message) => {
@@ -804,64 +4455,218 @@ function wireClientEvents(c) {
       if (message.author?.bot) return;
 
       const s = getSettings(message.guild.id);
+      if (RUNTIME_MESSAGE_CONTENT_INTENT && message.channel.id !== s.bug_input_channel_id) await replyWithBugReferences(message);
+
+      const ticket = getTicket(message.channel.id);
+      if (ticket && ticket.status === "open") {
+        const member = message.member || (await message.guild.members.fetch(message.author.id).catch(() => null));
+        const isStaff = message.author.id !== ticket.ownerId && isTicketStaffMember(message.guild, member, ticket);
+        recordTicketMessage(message.channel.id, ticket, { authorId: message.author.id, isStaff, atMs: message.createdTimestamp || nowMs() });
+        return;
+      }
+
       if (!s.bug_input_channel_id) return;
       if (message.channel.id !== s.bug_input_channel_id) return;
 
       const parsed = bugFromMessage(message);
-      const bug = createBug(message.guild.id, message.author.id, parsed.title, parsed.description, message.channel.id, message.id);
-
-      message.react("✅").catch(() => null);
-
-      const ackEmbed = new EmbedBuilder()
-        .setColor(0x57f287)
-        .setTitle("✅ Bug Saved")
-        .setDescription(
-          [
-            `**ID:** #${bug.id}`,
-            `**Reporter:** <@${message.author.id}>`,
-            `**Title:** ${clampText(bug.title, 100)}`,
-            bug.sourceMessageUrl ? `**Link:** ${bug.sourceMessageUrl}` : null,
-          ]
-            .filter(Boolean)
-            .join("\n")
-        )
-        .setTimestamp(new Date());
+      const matches = findSimilarBugs(message.guild.id, parsed.title, parsed.description);
+      if (matches.length) {
+        await message
+          .reply({
+            embeds: [buildBugDuplicateWarning(matches)],
+            components: buildBugDuplicateComponents(`msg:${message.id}`),
+            allowedMentions: { users: [message.author.id] },
+          })
+          .catch(() => null);
+        return;
+      }
 
-      await message.reply({ embeds: [ackEmbed], allowedMentions: { users: [message.author.id] } }).catch(() => null);
+      await saveBugFromMessage(message);
+    } catch (e) {
+      console.error("[BUG READER ERROR]", e);
+    }
+  });
 
-      await refreshBugBoard(message.guild).catch(() => null);
+  c.on("messageUpdate", async (before, message) => {
+    try {
+      if (!message.guild) return;
+      const bug = findBugBySourceMessage(message.guild.id, message.id);
+      if (!bug) return;
+      const full = message.partial ? await message.fetch().catch(() => null) : message;
+      if (!full || full.author?.bot) return;
+      if (before.partial) {
+        if ((full.editedTimestamp || 0) <= (bug.updatedAtMs || 0)) return;
+      } else {
+        const sameAttachments = [...before.attachments.keys()].join() === [...full.attachments.keys()].join();
+        if (before.content === full.content && sameAttachments) return;
+      }
 
-      await sendLog(
-        message.guild,
-        new EmbedBuilder()
-          .setColor(0x57f287)
-          .setTitle("🐞 Bug Saved")
-          .setDescription(`**Bug:** #${bug.id}\n**Reporter:** <@${message.author.id}>\n**Channel:** <#${message.channel.id}>`)
-          .setTimestamp(new Date())
-      );
+      const parsed = bugFromMessage(full);
+      if (parsed.title === bug.title && parsed.description === bug.description && parsed.attachments.length === (bug.attachments || []).length) return;
+      const updated = editBug(message.guild.id, bug.id, parsed, full.author.id);
+      await refreshBugBoard(message.guild, updated).catch(() => null);
+      await announceBugUpdate(message.guild, updated, full.author.id, "Report edited in the source message", { notify: false }).catch(() => null);
     } catch (e) {
-      console.error("[BUG READER ERROR]", e);
+      console.error("[BUG SYNC ERROR]", e);
     }
   });
 
+  const trashBugsForDeletedMessages = async (guild, messageIds) => {
+    if (!guild) return;
+    for (const messageId of messageIds) {
+      const bug = findBugBySourceMessage(guild.id, messageId);
+      if (bug) await moveBugToTrash(guild, bug.id, null, "Source message deleted").catch((e) => console.error("[BUG SYNC ERROR]", e));
+    }
+  };
+  c.on("messageDelete", (message) => trashBugsForDeletedMessages(message.guild, [message.id]));
+  c.on("messageDeleteBulk", (messages, channel) => trashBugsForDeletedMessages(channel.guild, [...messages.keys()]));
+
   c.on("interactionCreate", async (interaction) => {
     const guild = interaction.guild;
 
+    if (interaction.isAutocomplete()) {
+      if (!guild) return interaction.respond([]).catch(() => null);
+      const focused = interaction.options.getFocused(true);
+      const isStatusOption =
+        (interaction.commandName === "bug" && focused.name === "status") || (interaction.commandName === "bugstatus" && focused.name === "name");
+      if (!isStatusOption) return interaction.respond([]).catch(() => null);
+
+      const query = normalizeBugStatusName(focused.value);
+      const choices = getBugStatuses(guild.id)
+        .filter((st) => st.includes(query))
+        .slice(0, 25)
+        .map((st) => ({ name: `${bugStatusEmoji(st, guild.id)} ${st}`, value: st }));
+      return interaction.respond(choices).catch(() => null);
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith(TICKET_RATE_PREFIX)) {
+      const parsed = parseTicketRatingId(interaction.customId, TICKET_RATE_PREFIX);
+      const ticket = parsed ? getTicket(parsed.channelId) : null;
+      if (!ticket || ticket.guildId !== parsed.guildId) return safeReply(interaction, { content: "This ticket no longer exists.", ephemeral: true });
+      if (ticket.ownerId !== interaction.user.id) return safeReply(interaction, { content: "Only the ticket owner can rate it.", ephemeral: true });
+      if (ticket.rating) return safeReply(interaction, { content: "You already rated this ticket. Thank you!", ephemeral: true });
+      return interaction.showModal(buildTicketRatingModal(parsed.guildId, parsed.channelId, parsed.stars)).catch(() => null);
+    }
+
+    if (interaction.isModalSubmit() && interaction.customId.startsWith(MODAL_TICKET_RATE_PREFIX)) {
+      const parsed = parseTicketRatingId(interaction.customId, MODAL_TICKET_RATE_PREFIX);
+      const ticket = parsed ? getTicket(parsed.channelId) : null;
+      if (!ticket || ticket.guildId !== parsed.guildId) return safeReply(interaction, { content: "This ticket no longer exists.", ephemeral: true });
+      if (ticket.ownerId !== interaction.user.id) return safeReply(interaction, { content: "Only the ticket owner can rate it.", ephemeral: true });
+      if (ticket.rating) return safeReply(interaction, { content: "You already rated this ticket. Thank you!", ephemeral: true });
+
+      const rating = recordTicketRating(parsed.channelId, ticket, parsed.stars, interaction.fields.getTextInputValue("comment"));
+      const thanks = new EmbedBuilder()
+        .setColor(0x57f287)
+        .setTitle("⭐ Thanks for your feedback!")
+        .setDescription([`**Rating:** ${formatStars(rating.stars)} (${rating.stars}/5)`, rating.comment ? `**Comment:** ${rating.comment}` : null].filter(Boolean).join("\n"))
+        .setTimestamp(new Date());
+      if (interaction.isFromMessage()) await interaction.update({ embeds: [thanks], components: [] }).catch(() => null);
+      else await safeReply(interaction, { embeds: [thanks], ephemeral: true });
+
+      const ratedGuild = interaction.client.guilds.cache.get(parsed.guildId);
+      if (ratedGuild) {
+        const summary = computeTicketRatings(parsed.guildId);
+        const staffLines = rating.staffIds.map((id) => {
+          const row = summary.perStaff.find((r) => r.userId === id);
+          return `<@${id}> — avg **${row.average.toFixed(2)}** over ${row.count}`;
+        });
+        await sendLog(
+          ratedGuild,
+          new EmbedBuilder()
+            .setColor(rating.stars >= 4 ? 0x57f287 : rating.stars === 3 ? 0xfee75c : 0xed4245)
+            .setTitle("⭐ Ticket Rated")
+            .setDescription(
+              [
+                `**Ticket:** <#${parsed.channelId}> • **Owner:** <@${ticket.ownerId}>`,
+                `**Rating:** ${formatStars(rating.stars)} (${rating.stars}/5)`,
+                rating.comment ? `**Comment:** ${rating.comment}` : null,
+                staffLines.length ? `**Staff:**\n${staffLines.join("\n")}` : "**Staff:** (none recorded)",
+                `**Server average:** ${summary.average.toFixed(2)} over ${summary.count}`,
+              ]
+                .filter(Boolean)
+                .join("\n")
+            )
+            .setTimestamp(new Date())
+        );
+      }
+      return;
+    }
+
+    if (interaction.isMessageComponent() && interaction.customId.startsWith(BUG_LIST_PREFIX)) {
+      if (!guild) return;
+      const { kind, state } = decodeBugListId(guild.id, interaction.customId);
+      const view = buildBugListView(guild.id, interaction.isAnySelectMenu() ? applyBugListSelection(guild.id, kind, state, interaction.values) : state);
+
+      const s = getSettings(guild.id);
+      if (interaction.message.id === s.bug_board_message_id) return safeReply(interaction, { ...view, ephemeral: true });
+      return interaction.update(view).catch(() => null);
+    }
+
     if (interaction.isButton()) {
       if (!guild) return;
 
-      if (interaction.customId === PANEL_TICKET_CREATE) {
+      if (interaction.customId === TICKET_DASHBOARD_REFRESH) {
         const member = await guild.members.fetch(interaction.user.id).catch(() => null);
-        if (!member) return safeReply(interaction, { content: "Could not fetch your member.", ephemeral: true });
+        if (!isTicketStaffMember(guild, member)) return safeReply(interaction, { content: "Staff only.", ephemeral: true });
+        await interaction.deferUpdate().catch(() => null);
+        await refreshTicketDashboard(guild).catch(() => null);
+        return;
+      }
 
-        const ch = await createTicketChannel(guild, member, "Created via panel");
-        const embed = new EmbedBuilder()
-          .setColor(0x5865f2)
-          .setTitle("🎫 Ticket Created")
-          .setDescription(`Your ticket is ready: <#${ch.id}>`)
-          .setTimestamp(new Date());
+      if (interaction.customId === TICKET_CLAIM_BUTTON || interaction.customId === TICKET_UNCLAIM_BUTTON) {
+        const ticket = getTicket(interaction.channelId);
+        if (!ticket) return safeReply(interaction, { content: "This is not a ticket channel.", ephemeral: true });
+        const member = await guild.members.fetch(interaction.user.id).catch(() => null);
+        if (!isTicketStaffMember(guild, member, ticket)) return safeReply(interaction, { content: "Staff only.", ephemeral: true });
+
+        if (interaction.customId === TICKET_CLAIM_BUTTON) {
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const result = await claimTicket(guild, interaction.channel, ticket, interaction.user.id);
+          if (!result.ok) return safeEdit(interaction, { content: result.reason });
+          await interaction.channel
+            .send({
+              embeds: [
+                new EmbedBuilder().setColor(0x5865f2).setTitle("🛡️ Ticket Claimed").setDescription(`Claimed by <@${interaction.user.id}>`).setTimestamp(new Date()),
+              ],
+            })
+            .catch(() => null);
+          return safeEdit(interaction, { content: "You claimed this ticket." });
+        }
 
-        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        if (!canUnclaimTicket(guild, member, ticket)) {
+          return safeReply(interaction, { content: "Only the claimer (or Manage Server) can unclaim this ticket.", ephemeral: true });
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(() => null);
+        const result = await unclaimTicket(guild, interaction.channel, ticket);
+        if (!result.ok) return safeEdit(interaction, { content: result.reason });
+        await interaction.channel
+          .send({
+            embeds: [
+              new EmbedBuilder()
+                .setColor(0xfee75c)
+                .setTitle("🛡️ Ticket Unclaimed")
+                .setDescription(`<@${result.previousId}> released this ticket.`)
+                .setTimestamp(new Date()),
+            ],
+          })
+          .catch(() => null);
+        return safeEdit(interaction, { content: "Ticket unclaimed." });
+      }
+
+      if (interaction.customId === TICKET_CLOSE_BUTTON) {
+        const ticket = getTicket(interaction.channelId);
+        if (!ticket) return safeReply(interaction, { content: "This is not a ticket channel.", ephemeral: true });
+        if (ticket.status !== "open") return safeReply(interaction, { content: "This ticket is already closed.", ephemeral: true });
+        const member = await guild.members.fetch(interaction.user.id).catch(() => null);
+        if (!canManageTicket(guild, member, ticket)) {
+          return safeReply(interaction, { content: "You do not have permission to close this ticket.", ephemeral: true });
+        }
+        return interaction.showModal(buildTicketCloseModal()).catch(() => null);
+      }
+
+      if (interaction.customId === PANEL_TICKET_CREATE) {
+        return openTicketForInteraction(interaction, guild, "Created via panel");
       }
 
       if (interaction.customId === PANEL_BUG_BOARD) {
@@ -918,24 +4723,42 @@ function wireClientEvents(c) {
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
 
-        const modal = new ModalBuilder().setCustomId(MODAL_BUG_REPORT).setTitle("Report a Bug");
+        return interaction.showModal(buildBugReportModal(guild.id)).catch(() => null);
+      }
 
-        const title = new TextInputBuilder()
-          .setCustomId("title")
-          .setLabel("Bug title")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(100);
+      if (interaction.customId.startsWith(BUG_DUP_SUBMIT_PREFIX) || interaction.customId.startsWith(BUG_DUP_CANCEL_PREFIX)) {
+        const submit = interaction.customId.startsWith(BUG_DUP_SUBMIT_PREFIX);
+        const [kind, ref] = interaction.customId.slice(submit ? BUG_DUP_SUBMIT_PREFIX.length : BUG_DUP_CANCEL_PREFIX.length).split(":");
 
-        const desc = new TextInputBuilder()
-          .setCustomId("description")
-          .setLabel("Steps / expected / actual")
-          .setStyle(TextInputStyle.Paragraph)
-          .setRequired(true)
-          .setMaxLength(1000);
+        if (kind === "draft") {
+          const draft = pendingBugDrafts.get(ref);
+          if (!draft || draft.guildId !== guild.id || draft.expiresAtMs <= nowMs()) {
+            pendingBugDrafts.delete(ref);
+            return interaction.update({ content: "This draft expired. Please report the bug again.", embeds: [], components: [] }).catch(() => null);
+          }
+          pendingBugDrafts.delete(ref);
+          if (!submit) return interaction.update({ content: "Not submitted. Thanks for checking the existing reports!", embeds: [], components: [] }).catch(() => null);
 
-        modal.addComponents(new ActionRowBuilder().addComponents(title), new ActionRowBuilder().addComponents(desc));
-        return interaction.showModal(modal).catch(() => null);
+          await interaction.deferUpdate().catch(() => null);
+          const result = await submitBugReport(guild, interaction.user, draft.report);
+          return interaction.editReply({ ...result, components: [] }).catch(() => null);
+        }
+
+        const source = await interaction.channel.messages.fetch(ref).catch(() => null);
+        if (!source) return interaction.update({ content: "The original message is gone.", embeds: [], components: [] }).catch(() => null);
+        if (source.author.id !== interaction.user.id && !hasManageGuild(interaction)) {
+          return safeReply(interaction, { content: "Only the reporter can decide this.", ephemeral: true });
+        }
+        if (!submit) {
+          return interaction.update({ content: "Not filed as a new bug.", embeds: interaction.message.embeds, components: [] }).catch(() => null);
+        }
+        const existing = Array.from(getBugStore(guild.id).items.values()).find((b) => b.sourceMessageId === source.id);
+        if (existing) return interaction.update({ content: `Already saved as **#${existing.id}**.`, components: [] }).catch(() => null);
+
+        await interaction.update({ components: [] }).catch(() => null);
+        await saveBugFromMessage(source);
+        await interaction.message.delete().catch(() => null);
+        return;
       }
 
       if (interaction.customId === BUG_BOARD_REFRESH) {
@@ -948,61 +4771,15 @@ function wireClientEvents(c) {
       if (interaction.customId.startsWith(BUG_BOARD_STATUS_PREFIX)) {
         if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
         const status = interaction.customId.split(":")[1];
-        if (!BUG_STATUSES.includes(status)) return safeReply(interaction, { content: "Invalid status.", ephemeral: true });
-
-        const modal = new ModalBuilder().setCustomId(`${MODAL_BUG_STATUS_PREFIX}${status}`).setTitle(`Set Status: ${status}`);
-
-        const idInput = new TextInputBuilder()
-          .setCustomId("id")
-          .setLabel("Bug ID (number)")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(12);
+        if (!getBugStatusDef(guild.id, status)) return safeReply(interaction, { content: "Invalid status.", ephemeral: true });
 
-        const assignInput = new TextInputBuilder()
-          .setCustomId("assign")
-          .setLabel("Assign to (optional: @mention or user ID)")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setMaxLength(40);
-
-        const noteInput = new TextInputBuilder()
-          .setCustomId("note")
-          .setLabel("Note (optional)")
-          .setStyle(TextInputStyle.Paragraph)
-          .setRequired(false)
-          .setMaxLength(900);
-
-        modal.addComponents(
-          new ActionRowBuilder().addComponents(idInput),
-          new ActionRowBuilder().addComponents(assignInput),
-          new ActionRowBuilder().addComponents(noteInput)
-        );
-
-        return interaction.showModal(modal).catch(() => null);
+        return interaction.showModal(buildBugStatusModal(guild.id, status)).catch(() => null);
       }
 
       if (interaction.customId === BUG_BOARD_COMMENT) {
         if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
 
-        const modal = new ModalBuilder().setCustomId(MODAL_BUG_COMMENT).setTitle("Add Bug Comment");
-
-        const idInput = new TextInputBuilder()
-          .setCustomId("id")
-          .setLabel("Bug ID (number)")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(12);
-
-        const textInput = new TextInputBuilder()
-          .setCustomId("text")
-          .setLabel("Comment")
-          .setStyle(TextInputStyle.Paragraph)
-          .setRequired(true)
-          .setMaxLength(900);
-
-        modal.addComponents(new ActionRowBuilder().addComponents(idInput), new ActionRowBuilder().addComponents(textInput));
-        return interaction.showModal(modal).catch(() => null);
+        return interaction.showModal(buildBugCommentModal()).catch(() => null);
       }
 
       if (interaction.customId === BUG_BOARD_REOPEN) {
@@ -1010,13 +4787,6 @@ function wireClientEvents(c) {
 
         const modal = new ModalBuilder().setCustomId(MODAL_BUG_REOPEN).setTitle("Reopen Bug");
 
-        const idInput = new TextInputBuilder()
-          .setCustomId("id")
-          .setLabel("Bug ID (number)")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(12);
-
         const noteInput = new TextInputBuilder()
           .setCustomId("note")
           .setLabel("Note (optional)")
@@ -1024,28 +4794,141 @@ function wireClientEvents(c) {
           .setRequired(false)
           .setMaxLength(900);
 
-        modal.addComponents(new ActionRowBuilder().addComponents(idInput), new ActionRowBuilder().addComponents(noteInput));
+        modal.addComponents(new ActionRowBuilder().addComponents(buildBugIdInput()), new ActionRowBuilder().addComponents(noteInput));
         return interaction.showModal(modal).catch(() => null);
       }
 
+      if (interaction.customId === BUG_BOARD_TRIAGE) {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+
+        return interaction.showModal(buildBugTriageModal()).catch(() => null);
+      }
+
       if (interaction.customId === BUG_BOARD_VIEW) {
         const modal = new ModalBuilder().setCustomId(MODAL_BUG_VIEW).setTitle("View Bug");
+        modal.addComponents(new ActionRowBuilder().addComponents(buildBugIdInput()));
+        return interaction.showModal(modal).catch(() => null);
+      }
+
+      if (interaction.customId.startsWith(BUG_CARD_WATCH_PREFIX)) {
+        const bug = getBug(guild.id, interaction.customId.split(":")[1]);
+        if (!bug) return safeReply(interaction, { content: "That bug no longer exists.", ephemeral: true });
+
+        const watching = !getBugWatcherIds(bug).includes(interaction.user.id);
+        setBugWatching(guild.id, bug.id, interaction.user.id, watching);
+        await interaction.update({ components: buildBugCardComponents(bug) }).catch(() => null);
+        return safeReply(interaction, { content: describeBugWatchChange(guild.id, interaction.user.id, bug.id, watching), ephemeral: true });
+      }
 
-        const idInput = new TextInputBuilder()
-          .setCustomId("id")
-          .setLabel("Bug ID (number)")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(12);
+      if (interaction.customId.startsWith(BUG_CARD_COMMENT_PREFIX) || interaction.customId.startsWith(BUG_CARD_TRIAGE_PREFIX)) {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+        const bug = getBug(guild.id, interaction.customId.split(":")[1]);
+        if (!bug) return safeReply(interaction, { content: "That bug no longer exists.", ephemeral: true });
 
-        modal.addComponents(new ActionRowBuilder().addComponents(idInput));
+        const modal = interaction.customId.startsWith(BUG_CARD_COMMENT_PREFIX) ? buildBugCommentModal(bug.id) : buildBugTriageModal(bug);
         return interaction.showModal(modal).catch(() => null);
       }
     }
 
+    if (interaction.isStringSelectMenu()) {
+      if (!guild) return;
+
+      if (interaction.customId === PANEL_TICKET_TYPE_SELECT) {
+        const ticketType = findTicketType(guild.id, interaction.values[0]);
+        if (!ticketType) return safeReply(interaction, { content: "That ticket type no longer exists.", ephemeral: true });
+        if (!guardTicketCreation(interaction, guild)) return;
+        return interaction.showModal(buildTicketIntakeModal(ticketType)).catch(() => null);
+      }
+
+      if (interaction.customId.startsWith(BUG_CARD_STATUS_PREFIX)) {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+        const bug = getBug(guild.id, interaction.customId.split(":")[1]);
+        const status = interaction.values[0];
+        if (!bug) return safeReply(interaction, { content: "That bug no longer exists.", ephemeral: true });
+        if (!getBugStatusDef(guild.id, status)) return safeReply(interaction, { content: "Invalid status.", ephemeral: true });
+        if (status !== bug.status && !getAllowedBugTransitions(guild.id, bug.status).includes(status)) {
+          return safeReply(interaction, { content: `Bug #${bug.id} cannot move from **${bug.status}** to **${status}**.`, ephemeral: true });
+        }
+        return interaction.showModal(buildBugStatusModal(guild.id, status, bug.id)).catch(() => null);
+      }
+
+      if (interaction.customId === BUG_BOARD_STATUS_SELECT) {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+        const status = interaction.values[0];
+        if (!getBugStatusDef(guild.id, status)) return safeReply(interaction, { content: "Invalid status.", ephemeral: true });
+        return interaction.showModal(buildBugStatusModal(guild.id, status)).catch(() => null);
+      }
+    }
+
     if (interaction.isModalSubmit()) {
       if (!guild) return;
 
+      if (interaction.customId === MODAL_TICKET_CLOSE) {
+        const ticket = getTicket(interaction.channelId);
+        if (!ticket) return safeReply(interaction, { content: "This is not a ticket channel.", ephemeral: true });
+        const member = await guild.members.fetch(interaction.user.id).catch(() => null);
+        if (!canManageTicket(guild, member, ticket)) {
+          return safeReply(interaction, { content: "You do not have permission to close this ticket.", ephemeral: true });
+        }
+
+        const reason = String(interaction.fields.getTextInputValue("reason") || "").trim();
+        if (!reason) return safeReply(interaction, { content: "A close reason is required.", ephemeral: true });
+
+        await interaction.deferReply({ ephemeral: true }).catch(() => null);
+        const result = await closeTicketChannel(guild, interaction.channel, interaction.user.id, reason);
+        if (!result.ok) return safeEdit(interaction, { content: result.reason });
+        return safeEdit(interaction, { content: result.graceMinutes ? "Ticket closed and locked." : "Closing ticket..." });
+      }
+
+      if (interaction.customId.startsWith(MODAL_TICKET_INTAKE_PREFIX)) {
+        const ticketType = findTicketType(guild.id, interaction.customId.slice(MODAL_TICKET_INTAKE_PREFIX.length));
+        if (!ticketType) return safeReply(interaction, { content: "That ticket type no longer exists.", ephemeral: true });
+
+        const questions = ticketType.questions?.length ? ticketType.questions : DEFAULT_INTAKE_QUESTIONS;
+        const answers = questions.slice(0, TICKET_TYPE_MAX_QUESTIONS).map((question, i) => ({
+          question,
+          answer: String(interaction.fields.getTextInputValue(`q${i}`) || "").trim(),
+        }));
+        return openTicketForInteraction(interaction, guild, "", ticketType, answers);
+      }
+
+      if (interaction.customId === MODAL_TICKET_BUG) {
+        const ticket = getTicket(interaction.channelId);
+        if (!ticket) return safeReply(interaction, { content: "This is not a ticket channel.", ephemeral: true });
+        const member = await guild.members.fetch(interaction.user.id).catch(() => null);
+        if (!canManageTicket(guild, member, ticket)) return safeReply(interaction, { content: "No access to this ticket.", ephemeral: true });
+
+        const title = String(interaction.fields.getTextInputValue("title") || "").trim();
+        const text = String(interaction.fields.getTextInputValue("report") || "").trim();
+        const { fields } = parseBugReportText(guild.id, text, { withTitle: false });
+
+        await interaction.deferReply({ ephemeral: true }).catch(() => null);
+        const bug = createBug(guild.id, ticket.ownerId, title, fields.length ? renderBugFields(fields) : text, null, null, { fields });
+        setBugWatching(guild.id, bug.id, interaction.user.id, true);
+        linkBugToTicket(interaction.channelId, ticket, bug);
+        await refreshBugBoard(guild, bug).catch(() => null);
+
+        const embed = new EmbedBuilder()
+          .setColor(0x57f287)
+          .setTitle(`🐞 Bug #${bug.id} Filed`)
+          .setDescription(
+            [`**Title:** ${clampText(bug.title, 200)}`, `**Filed by:** <@${interaction.user.id}>`, "Status changes will be posted here while the ticket is open."].join("\n")
+          )
+          .setTimestamp(new Date());
+        await interaction.channel.send({ embeds: [embed], allowedMentions: { parse: [] } }).catch(() => null);
+        await sendLog(
+          guild,
+          new EmbedBuilder()
+            .setColor(0x57f287)
+            .setTitle("🐞 Bug Saved")
+            .setDescription(`**Bug:** #${bug.id}\n**Reporter:** <@${ticket.ownerId}>\n**From ticket:** <#${interaction.channelId}>`)
+            .setTimestamp(new Date())
+        );
+        await safeEdit(interaction, { content: `Filed bug #${bug.id}.` });
+        createTrackerIssueAndLog(guild, bug).catch(() => null);
+        return;
+      }
+
       if (interaction.customId === MODAL_BUG_REPORT) {
         const s = getSettings(guild.id);
         if (!s.bug_input_channel_id) {
@@ -1057,53 +4940,28 @@ function wireClientEvents(c) {
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
 
-        const title = interaction.fields.getTextInputValue("title");
-        const description = interaction.fields.getTextInputValue("description");
-
-        const bugChannel = await guild.channels.fetch(s.bug_input_channel_id).catch(() => null);
-        if (!bugChannel || !bugChannel.isTextBased()) {
-          const embed = new EmbedBuilder().setColor(0xed4245).setTitle("Bug Channel Invalid").setTimestamp(new Date());
-          return safeReply(interaction, { embeds: [embed], ephemeral: true });
-        }
-
-        const posted = await bugChannel
-          .send({
-            embeds: [
-              new EmbedBuilder()
-                .setColor(0xfee75c)
-                .setTitle("🐞 Bug Report")
-                .setDescription([`**From:** <@${interaction.user.id}>`, `**Title:** ${clampText(title, 200)}`, "", clampText(description, 1500)].join("\n"))
-                .setTimestamp(new Date()),
-            ],
-            allowedMentions: { users: [interaction.user.id] },
-          })
-          .catch(() => null);
+        const report = readBugReportModal(interaction, guild.id);
 
-        if (!posted) {
-          const embed = new EmbedBuilder().setColor(0xed4245).setTitle("Failed to Post Bug Report").setTimestamp(new Date());
-          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        const matches = findSimilarBugs(guild.id, report.title, report.description);
+        if (matches.length) {
+          const token = stashBugDraft(guild.id, interaction.user.id, report);
+          return safeReply(interaction, {
+            embeds: [buildBugDuplicateWarning(matches)],
+            components: buildBugDuplicateComponents(`draft:${token}`),
+            ephemeral: true,
+          });
         }
 
-        const bug = createBug(guild.id, interaction.user.id, title, description, posted.channel.id, posted.id);
-        await refreshBugBoard(guild).catch(() => null);
-
-        const embed = new EmbedBuilder()
-          .setColor(0x57f287)
-          .setTitle("✅ Bug Saved")
-          .setDescription([`**ID:** #${bug.id}`, bug.sourceMessageUrl ? `**Link:** ${bug.sourceMessageUrl}` : null].filter(Boolean).join("\n"))
-          .setTimestamp(new Date());
-
-        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        return safeReply(interaction, { ...(await submitBugReport(guild, interaction.user, report)), ephemeral: true });
       }
 
       if (interaction.customId.startsWith(MODAL_BUG_STATUS_PREFIX)) {
         if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
 
-        const status = interaction.customId.split(":")[1];
-        if (!BUG_STATUSES.includes(status)) return safeReply(interaction, { content: "Invalid status.", ephemeral: true });
+        const [, status, boundId] = interaction.customId.split(":");
+        if (!getBugStatusDef(guild.id, status)) return safeReply(interaction, { content: "Invalid status.", ephemeral: true });
 
-        const idRaw = interaction.fields.getTextInputValue("id");
-        const id = Number(String(idRaw || "").trim());
+        const id = readModalBugId(interaction, Number(boundId) || null);
         if (!Number.isFinite(id) || id <= 0) return safeReply(interaction, { content: "Invalid Bug ID.", ephemeral: true });
 
         const assignRaw = interaction.fields.getTextInputValue("assign");
@@ -1116,19 +4974,24 @@ function wireClientEvents(c) {
           assignedId = parsed;
         }
 
-        const updated = setBugStatus(guild.id, id, status, assignedId, note);
+        const current = getBug(guild.id, id);
+        if (!current) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+        const error = validateBugStatusChange(guild.id, current, status, note);
+        if (error) return safeReply(interaction, { content: error, ephemeral: true });
+
+        const updated = setBugStatus(guild.id, id, status, assignedId, note, interaction.user.id);
         if (!updated) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
 
-        await refreshBugBoard(guild).catch(() => null);
+        await refreshBugBoard(guild, updated).catch(() => null);
         await announceBugUpdate(guild, updated, interaction.user.id).catch(() => null);
 
         const embed = new EmbedBuilder()
-          .setColor(status === "RESOLVED" ? 0x57f287 : 0x5865f2)
+          .setColor(bugStatusColor(status, guild.id))
           .setTitle("✅ Bug Updated")
           .setDescription(
             [
               `**Bug:** #${updated.id}`,
-              `**Status:** ${bugStatusEmoji(updated.status)} ${updated.status}`,
+              `**Status:** ${bugStatusEmoji(updated.status, guild.id)} ${updated.status}`,
               updated.assignedToId ? `**Assigned:** <@${updated.assignedToId}>` : null,
               updated.lastNote ? `**Note:** ${clampText(updated.lastNote, 900)}` : null,
             ]
@@ -1140,19 +5003,20 @@ function wireClientEvents(c) {
         return safeReply(interaction, { embeds: [embed], ephemeral: true });
       }
 
-      if (interaction.customId === MODAL_BUG_COMMENT) {
+      const commentModal = matchBugModalId(interaction.customId, MODAL_BUG_COMMENT);
+      if (commentModal) {
         if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
 
-        const idRaw = interaction.fields.getTextInputValue("id");
-        const id = Number(String(idRaw || "").trim());
+        const id = readModalBugId(interaction, commentModal.bugId);
         if (!Number.isFinite(id) || id <= 0) return safeReply(interaction, { content: "Invalid Bug ID.", ephemeral: true });
 
         const text = interaction.fields.getTextInputValue("text");
         const updated = addBugComment(guild.id, id, interaction.user.id, text);
         if (!updated) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
 
-        await refreshBugBoard(guild).catch(() => null);
-        await announceBugUpdate(guild, updated, interaction.user.id, "Comment added").catch(() => null);
+        await refreshBugBoard(guild, updated).catch(() => null);
+        await mirrorBugCommentToThread(guild, updated, updated.comments[updated.comments.length - 1]).catch(() => null);
+        await announceBugUpdate(guild, updated, interaction.user.id, `Comment: ${text}`).catch(() => null);
 
         const embed = new EmbedBuilder()
           .setColor(0x5865f2)
@@ -1171,22 +5035,83 @@ function wireClientEvents(c) {
         if (!Number.isFinite(id) || id <= 0) return safeReply(interaction, { content: "Invalid Bug ID.", ephemeral: true });
 
         const note = interaction.fields.getTextInputValue("note") || "";
-        const updated = reopenBug(guild.id, id, note);
+        const current = getBug(guild.id, id);
+        if (!current) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+        const error = validateBugStatusChange(guild.id, current, "OPEN", note);
+        if (error) return safeReply(interaction, { content: error, ephemeral: true });
+
+        const original = current.duplicateOfId ? getBug(guild.id, current.duplicateOfId) : null;
+        const updated = reopenBug(guild.id, id, note, interaction.user.id);
         if (!updated) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
 
-        await refreshBugBoard(guild).catch(() => null);
+        await refreshBugBoard(guild, updated).catch(() => null);
+        if (original) await ensureBugCard(guild, original).catch(() => null);
         await announceBugUpdate(guild, updated, interaction.user.id, "Bug reopened").catch(() => null);
 
         const embed = new EmbedBuilder()
-          .setColor(0xfee75c)
-          .setTitle("♻️ Bug Reopened")
-          .setDescription(
-            [`**Bug:** #${updated.id}`, `**Status:** ${bugStatusEmoji(updated.status)} ${updated.status}`, note ? `**Note:** ${clampText(note, 900)}` : null]
-              .filter(Boolean)
-              .join("\n")
-          )
+          .setColor(0xfee75c)
+          .setTitle("♻️ Bug Reopened")
+          .setDescription(
+            [`**Bug:** #${updated.id}`, `**Status:** ${bugStatusEmoji(updated.status, guild.id)} ${updated.status}`, note ? `**Note:** ${clampText(note, 900)}` : null]
+              .filter(Boolean)
+              .join("\n")
+          )
+          .setTimestamp(new Date());
+
+        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.customId.startsWith(MODAL_BUG_EDIT_PREFIX)) {
+        const id = Number(interaction.customId.slice(MODAL_BUG_EDIT_PREFIX.length));
+        const bug = getBug(guild.id, id);
+        if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+        if (bug.reporterId !== interaction.user.id && !hasManageGuild(interaction)) {
+          return safeReply(interaction, { content: "Only the reporter or staff can edit this bug.", ephemeral: true });
+        }
+
+        const title = String(interaction.fields.getTextInputValue("title") || "").trim();
+        const text = String(interaction.fields.getTextInputValue("report") || "").trim();
+        const { fields } = parseBugReportText(guild.id, text, { withTitle: false });
+        const updated = editBug(guild.id, id, { title, description: fields.length ? renderBugFields(fields) : text, fields }, interaction.user.id);
+        await refreshBugBoard(guild, updated).catch(() => null);
+        await announceBugUpdate(guild, updated, interaction.user.id, "Report edited", { notify: false }).catch(() => null);
+
+        const embed = new EmbedBuilder().setColor(0x57f287).setTitle("✅ Bug Updated").setDescription(`**#${updated.id}** ${clampText(updated.title, 100)}`).setTimestamp(new Date());
+        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+      }
+
+      const triageModal = matchBugModalId(interaction.customId, MODAL_BUG_TRIAGE);
+      if (triageModal) {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+
+        const id = readModalBugId(interaction, triageModal.bugId);
+        if (!Number.isFinite(id) || id <= 0) return safeReply(interaction, { content: "Invalid Bug ID.", ephemeral: true });
+        if (!getBug(guild.id, id)) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+
+        const priority = String(interaction.fields.getTextInputValue("priority") || "").trim().toUpperCase();
+        const severity = String(interaction.fields.getTextInputValue("severity") || "").trim().toUpperCase();
+        const component = String(interaction.fields.getTextInputValue("component") || "").trim();
+        const labelsRaw = String(interaction.fields.getTextInputValue("labels") || "").trim();
+
+        if (priority && !BUG_PRIORITIES.includes(priority)) return safeReply(interaction, { content: `Priority must be one of ${BUG_PRIORITIES.join(", ")}.`, ephemeral: true });
+        if (severity && !BUG_SEVERITIES.includes(severity)) return safeReply(interaction, { content: `Severity must be one of ${BUG_SEVERITIES.join(", ")}.`, ephemeral: true });
+
+        const patch = {};
+        if (priority) patch.priority = priority;
+        if (severity) patch.severity = severity;
+        if (component) patch.component = component;
+        if (labelsRaw) patch.labels = labelsRaw.split(",");
+        if (!Object.keys(patch).length) return safeReply(interaction, { content: "Nothing to change.", ephemeral: true });
+
+        const updated = setBugTriage(guild.id, id, patch, interaction.user.id);
+        await refreshBugBoard(guild, updated).catch(() => null);
+        await announceBugUpdate(guild, updated, interaction.user.id, `Triage updated: ${describeBugTriage(updated)}`, { notify: false }).catch(() => null);
+
+        const embed = new EmbedBuilder()
+          .setColor(0x5865f2)
+          .setTitle("✅ Bug Triage Updated")
+          .setDescription([`**Bug:** #${updated.id}`, describeBugTriage(updated) || "(no triage fields set)"].join("\n"))
           .setTimestamp(new Date());
-
         return safeReply(interaction, { embeds: [embed], ephemeral: true });
       }
 
@@ -1198,30 +5123,7 @@ function wireClientEvents(c) {
         const bug = getBug(guild.id, id);
         if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
 
-        const commentPreview = bug.comments.slice(-3).map((c) => `• <@${c.byId}>: ${clampText(c.text, 120)}`);
-
-        const embed = new EmbedBuilder()
-          .setColor(0xfee75c)
-          .setTitle(`🐞 Bug #${bug.id} ${bugStatusEmoji(bug.status)} ${bug.status}`)
-          .setDescription(
-            [
-              `**Title:** ${clampText(bug.title, 200)}`,
-              `**Reporter:** <@${bug.reporterId}>`,
-              bug.assignedToId ? `**Assigned:** <@${bug.assignedToId}>` : "**Assigned:** (none)",
-              "",
-              clampText(bug.description, 1500),
-              "",
-              bug.sourceMessageUrl ? `**Link:** ${bug.sourceMessageUrl}` : null,
-              bug.lastNote ? `**Note:** ${clampText(bug.lastNote, 900)}` : null,
-              bug.comments.length ? `**Comments (${bug.comments.length}):**` : null,
-              bug.comments.length ? commentPreview.join("\n") : null,
-            ]
-              .filter(Boolean)
-              .join("\n")
-          )
-          .setTimestamp(new Date(bug.updatedAtMs));
-
-        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        return safeReply(interaction, { embeds: [buildBugDetailEmbed(bug, { timeline: true })], ephemeral: true });
       }
     }
 
@@ -1245,6 +5147,9 @@ function wireClientEvents(c) {
               `**Logs Channel:** ${s.log_channel_id ? `<#${s.log_channel_id}>` : "(not set)"}`,
               `**Ticket Category:** ${s.ticket_category_id ? `<#${s.ticket_category_id}>` : "(auto)"}`,
               `**Ticket Staff Role:** ${s.ticket_staff_role_id ? `<@&${s.ticket_staff_role_id}>` : "(not set)"}`,
+              `**Transcript Channel:** ${s.ticket_transcript_channel_id ? `<#${s.ticket_transcript_channel_id}>` : "(logs channel)"}`,
+              `**Ticket Dashboard:** ${s.ticket_dashboard_channel_id ? `<#${s.ticket_dashboard_channel_id}>` : "(not set)"}`,
+              `**Ticket Types:** ${s.ticket_types?.length ? s.ticket_types.map((t) => t.name).join(", ") : "(none)"}`,
               "",
               `**Bug Input:** ${s.bug_input_channel_id ? `<#${s.bug_input_channel_id}>` : "(not set)"}`,
               `**Bug Board:** ${s.bug_board_channel_id ? `<#${s.bug_board_channel_id}>` : "(not set)"}`,
@@ -1267,6 +5172,34 @@ function wireClientEvents(c) {
         return safeReply(interaction, { embeds: [embed], ephemeral: true });
       }
 
+      if (interaction.commandName === "settranscriptchannel") {
+        const channel = interaction.options.getChannel("channel", true);
+        if (!channel.isTextBased()) return safeReply(interaction, { content: "Channel must be text-based.", ephemeral: true });
+
+        setSettings(guild.id, { ticket_transcript_channel_id: channel.id });
+        const embed = new EmbedBuilder()
+          .setColor(0x57f287)
+          .setTitle("✅ Transcript Channel Set")
+          .setDescription(`${channel}`)
+          .setTimestamp(new Date());
+        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.commandName === "setticketdashboard") {
+        const channel = interaction.options.getChannel("channel", true);
+        if (!channel.isTextBased()) return safeReply(interaction, { content: "Channel must be text-based.", ephemeral: true });
+
+        setSettings(guild.id, { ticket_dashboard_channel_id: channel.id, ticket_dashboard_message_id: null });
+        await refreshTicketDashboard(guild).catch(() => null);
+
+        const embed = new EmbedBuilder()
+          .setColor(0x57f287)
+          .setTitle("✅ Ticket Dashboard Posted")
+          .setDescription(`${channel}`)
+          .setTimestamp(new Date());
+        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+      }
+
       if (interaction.commandName === "setticketstaffrole") {
         const role = interaction.options.getRole("role", true);
         setSettings(guild.id, { ticket_staff_role_id: role.id });
@@ -1290,7 +5223,9 @@ function wireClientEvents(c) {
         const updates = interaction.options.getChannel("updates", false);
 
         if (!input.isTextBased()) return safeReply(interaction, { content: "Input must be text-based.", ephemeral: true });
-        if (!board.isTextBased()) return safeReply(interaction, { content: "Board must be text-based.", ephemeral: true });
+        if (!board.isTextBased() && board.type !== ChannelType.GuildForum) {
+          return safeReply(interaction, { content: "Board must be a text or forum channel.", ephemeral: true });
+        }
         if (updates && !updates.isTextBased()) return safeReply(interaction, { content: "Updates must be text-based.", ephemeral: true });
 
         setSettings(guild.id, {
@@ -1300,7 +5235,8 @@ function wireClientEvents(c) {
           bug_board_message_id: null,
         });
 
-        await refreshBugBoard(guild).catch(() => null);
+        await interaction.deferReply({ ephemeral: true }).catch(() => null);
+        await syncBugCards(guild).catch(() => null);
 
         const embed = new EmbedBuilder()
           .setColor(0x57f287)
@@ -1308,13 +5244,13 @@ function wireClientEvents(c) {
           .setDescription([`**Input:** ${input}`, `**Board:** ${board}`, `**Updates:** ${updates ? updates : "(not set)"}`].join("\n"))
           .setTimestamp(new Date());
 
-        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        return safeEdit(interaction, { embeds: [embed] });
       }
 
       if (interaction.commandName === "panel") {
         await safeReply(interaction, { content: "Panel posted.", ephemeral: true });
         await interaction.channel
-          .send({ embeds: [buildPanelEmbed(guild)], components: buildPanelComponents() })
+          .send({ embeds: [buildPanelEmbed(guild)], components: buildPanelComponents(guild) })
           .catch(() => null);
         return;
       }
@@ -1324,19 +5260,129 @@ function wireClientEvents(c) {
 
         if (sub === "create") {
           const reason = interaction.options.getString("reason") || "";
+          const typeKey = interaction.options.getString("type") || "";
+          if (typeKey) {
+            const ticketType = findTicketType(guild.id, typeKey);
+            if (!ticketType) {
+              const names = getTicketTypes(guild.id).map((t) => `\`${t.name}\``);
+              return safeReply(interaction, {
+                content: `Unknown ticket type. Available: ${names.length ? names.join(", ") : "(none)"}`,
+                ephemeral: true,
+              });
+            }
+            if (!guardTicketCreation(interaction, guild)) return;
+            return interaction.showModal(buildTicketIntakeModal(ticketType)).catch(() => null);
+          }
+
+          return openTicketForInteraction(interaction, guild, reason);
+        }
+
+        if (sub === "stats") {
           const member = await guild.members.fetch(interaction.user.id).catch(() => null);
-          if (!member) return safeReply(interaction, { content: "Could not fetch your member.", ephemeral: true });
+          if (!isTicketStaffMember(guild, member)) return safeReply(interaction, { content: "Staff only.", ephemeral: true });
+          return safeReply(interaction, { embeds: [buildTicketStatsEmbed(guild.id)], ephemeral: true });
+        }
 
-          const ch = await createTicketChannel(guild, member, reason);
-          const embed = new EmbedBuilder()
-            .setColor(0x5865f2)
-            .setTitle("🎫 Ticket Created")
-            .setDescription(`Open: <#${ch.id}>`)
-            .setTimestamp(new Date());
+        if (sub === "ratings") {
+          const member = await guild.members.fetch(interaction.user.id).catch(() => null);
+          if (!isTicketStaffMember(guild, member)) return safeReply(interaction, { content: "Staff only.", ephemeral: true });
+
+          const summary = computeTicketRatings(guild.id);
+          const staffUser = interaction.options.getUser("staff");
+          let lines;
+          if (staffUser) {
+            const row = summary.perStaff.find((r) => r.userId === staffUser.id);
+            const recent = [...tickets.values()]
+              .filter((t) => t.guildId === guild.id && t.rating?.staffIds?.includes(staffUser.id))
+              .sort((a, b) => b.rating.atMs - a.rating.atMs)
+              .slice(0, 10);
+            lines = [
+              `**Staff:** <@${staffUser.id}>`,
+              row ? `**Average:** ${formatStars(row.average)} **${row.average.toFixed(2)}** over ${row.count}` : "**Average:** (no ratings)",
+              "",
+              ...recent.map((t) => `${formatStars(t.rating.stars)} <t:${Math.floor(t.rating.atMs / 1000)}:R>${t.rating.comment ? ` — ${clampText(t.rating.comment, 120)}` : ""}`),
+            ];
+          } else {
+            lines = [
+              `**Server average:** ${summary.count ? `${formatStars(summary.average)} **${summary.average.toFixed(2)}** over ${summary.count}` : "(no ratings yet)"}`,
+              "",
+              ...(summary.perStaff.length
+                ? summary.perStaff.slice(0, 20).map((r, i) => `**${i + 1}.** <@${r.userId}> — ${formatStars(r.average)} **${r.average.toFixed(2)}** (${r.count})`)
+                : ["No staff ratings yet."]),
+            ];
+          }
 
+          const embed = new EmbedBuilder().setColor(0xfee75c).setTitle("⭐ Ticket Ratings").setDescription(lines.join("\n")).setTimestamp(new Date());
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
 
+        if (interaction.options.getSubcommandGroup(false) === "blacklist") {
+          const member = await guild.members.fetch(interaction.user.id).catch(() => null);
+          if (!isTicketStaffMember(guild, member)) return safeReply(interaction, { content: "Staff only.", ephemeral: true });
+
+          if (sub === "add") {
+            const user = interaction.options.getUser("user", true);
+            const reason = interaction.options.getString("reason") || "";
+            if (user.bot) return safeReply(interaction, { content: "You cannot blacklist a bot.", ephemeral: true });
+            addTicketBlacklist(guild.id, user.id, interaction.user.id, reason);
+
+            await sendLog(
+              guild,
+              new EmbedBuilder()
+                .setColor(0xed4245)
+                .setTitle("🚫 Ticket Blacklist Added")
+                .setDescription(
+                  [`**User:** <@${user.id}>`, `**By:** <@${interaction.user.id}>`, reason ? `**Reason:** ${clampText(reason, 300)}` : null]
+                    .filter(Boolean)
+                    .join("\n")
+                )
+                .setTimestamp(new Date())
+            );
+
+            const embed = new EmbedBuilder()
+              .setColor(0xed4245)
+              .setTitle("🚫 User Blacklisted")
+              .setDescription(`<@${user.id}> can no longer open tickets.`)
+              .setTimestamp(new Date());
+            return safeReply(interaction, { embeds: [embed], ephemeral: true });
+          }
+
+          if (sub === "remove") {
+            const user = interaction.options.getUser("user", true);
+            const removed = removeTicketBlacklist(guild.id, user.id);
+            if (!removed) return safeReply(interaction, { content: "That user is not blacklisted.", ephemeral: true });
+
+            await sendLog(
+              guild,
+              new EmbedBuilder()
+                .setColor(0x57f287)
+                .setTitle("✅ Ticket Blacklist Removed")
+                .setDescription(`**User:** <@${user.id}>\n**By:** <@${interaction.user.id}>`)
+                .setTimestamp(new Date())
+            );
+
+            const embed = new EmbedBuilder()
+              .setColor(0x57f287)
+              .setTitle("✅ User Unblacklisted")
+              .setDescription(`<@${user.id}> can open tickets again.`)
+              .setTimestamp(new Date());
+            return safeReply(interaction, { embeds: [embed], ephemeral: true });
+          }
+
+          if (sub === "list") {
+            const list = getTicketBlacklist(guild.id);
+            const lines = list.length
+              ? list.map((e) => `<@${e.userId}> • by <@${e.byId}> <t:${Math.floor(e.atMs / 1000)}:R>${e.reason ? ` — ${clampText(e.reason, 100)}` : ""}`)
+              : ["Nobody is blacklisted."];
+            const embed = new EmbedBuilder()
+              .setColor(0x5865f2)
+              .setTitle("🚫 Ticket Blacklist")
+              .setDescription(clampText(lines.join("\n"), 4000))
+              .setTimestamp(new Date());
+            return safeReply(interaction, { embeds: [embed], ephemeral: true });
+          }
+        }
+
         const channel = interaction.channel;
         if (!channel || channel.type !== ChannelType.GuildText) {
           return safeReply(interaction, { content: "Use this inside a ticket channel.", ephemeral: true });
@@ -1352,6 +5398,7 @@ function wireClientEvents(c) {
 
           const assigned = [...ticket.assignedStaffIds.values()];
           const added = [...ticket.addedUserIds.values()];
+          const metrics = getTicketMetrics(ticket);
           const embed = new EmbedBuilder()
             .setColor(0x5865f2)
             .setTitle("🎫 Ticket Info")
@@ -1360,9 +5407,17 @@ function wireClientEvents(c) {
                 `**Owner:** <@${ticket.ownerId}>`,
                 `**Status:** ${ticket.status === "open" ? "OPEN" : "CLOSED"}`,
                 `**Created:** <t:${Math.floor(ticket.createdAtMs / 1000)}:R>`,
+                `**First Response:** ${metrics.firstResponseMs !== null ? formatDuration(metrics.firstResponseMs) : "(waiting)"}`,
+                metrics.resolutionMs !== null ? `**Resolution Time:** ${formatDuration(metrics.resolutionMs)}` : null,
+                ticket.status === "closed" && ticket.closeReason ? `**Close Reason:** ${ticket.closeReason}` : null,
+                ticket.status === "closed" && ticket.deleteAtMs ? `**Deletes:** <t:${Math.floor(ticket.deleteAtMs / 1000)}:R>` : null,
+                `**Claimed by:** ${ticket.claimedById ? `<@${ticket.claimedById}>` : "(unclaimed)"}`,
                 assigned.length ? `**Assigned Staff:** ${assigned.map((id) => `<@${id}>`).join(", ")}` : "**Assigned Staff:** (none)",
                 added.length ? `**Added Users:** ${added.map((id) => `<@${id}>`).join(", ")}` : "**Added Users:** (none)",
-              ].join("\n")
+                ticket.bugIds?.length ? `**Bugs:** ${ticket.bugIds.map((id) => `#${id}`).join(", ")}` : null,
+              ]
+                .filter(Boolean)
+                .join("\n")
             )
             .setTimestamp(new Date());
 
@@ -1373,120 +5428,557 @@ function wireClientEvents(c) {
           if (!canManageTicket(guild, member, ticket)) {
             return safeReply(interaction, { content: "You do not have permission to close this ticket.", ephemeral: true });
           }
-          const result = await closeTicketChannel(guild, channel, interaction.user.id);
+          if (ticket.status !== "open") return safeReply(interaction, { content: "This ticket is already closed.", ephemeral: true });
+          return interaction.showModal(buildTicketCloseModal()).catch(() => null);
+        }
+
+        if (sub === "bug") {
+          if (!canManageTicket(guild, member, ticket)) return safeReply(interaction, { content: "No access to this ticket.", ephemeral: true });
+          if (ticket.status !== "open") return safeReply(interaction, { content: "This ticket is closed.", ephemeral: true });
+
+          const id = interaction.options.getInteger("id");
+          if (id === null) return interaction.showModal(buildTicketBugModal(ticket, recentTicketText(channel, ticket))).catch(() => null);
+
+          const bug = getBug(guild.id, id);
+          if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+          linkBugToTicket(channel.id, ticket, bug);
+          setBugWatching(guild.id, bug.id, interaction.user.id, true);
+          await refreshBugBoard(guild, bug).catch(() => null);
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle(`🔗 Linked to Bug #${bug.id}`)
+            .setDescription(`${buildBugCardLine(bug)}\nStatus changes will be posted here while the ticket is open.`)
+            .setTimestamp(new Date());
+          await channel.send({ embeds: [embed], allowedMentions: { parse: [] } }).catch(() => null);
+          return safeReply(interaction, { content: `Linked bug #${bug.id} to this ticket.`, ephemeral: true });
+        }
+
+        const staff = isTicketStaffMember(guild, member, ticket);
+        if (!staff) return safeReply(interaction, { content: "Staff only.", ephemeral: true });
+
+        if (sub === "reopen") {
+          const result = await reopenTicketChannel(guild, channel, interaction.user.id);
           if (!result.ok) return safeReply(interaction, { content: result.reason, ephemeral: true });
-          return safeReply(interaction, { content: "Closing ticket...", ephemeral: true });
+          return safeReply(interaction, { content: "Ticket reopened.", ephemeral: true });
+        }
+
+        if (sub === "add") {
+          const user = interaction.options.getUser("user", true);
+          if (user.bot) return safeReply(interaction, { content: "You cannot add a bot.", ephemeral: true });
+
+          await grantTicketAccess(channel, user.id);
+          ticket.addedUserIds.add(user.id);
+          saveTicket(channel.id);
+
+          const embed = new EmbedBuilder()
+            .setColor(0x57f287)
+            .setTitle("✅ User Added")
+            .setDescription(`Added <@${user.id}> to this ticket.`)
+            .setTimestamp(new Date());
+
+          await channel.send({ embeds: [embed] }).catch(() => null);
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "remove") {
+          const user = interaction.options.getUser("user", true);
+
+          await revokeTicketAccess(channel, user.id);
+          ticket.addedUserIds.delete(user.id);
+          ticket.assignedStaffIds.delete(user.id);
+          saveTicket(channel.id);
+
+          const embed = new EmbedBuilder()
+            .setColor(0xfee75c)
+            .setTitle("⚠️ User Removed")
+            .setDescription(
+              [
+                `Removed <@${user.id}> from this ticket.`,
+                "If they still have access through a role overwrite, remove that role or adjust permissions.",
+              ].join("\n")
+            )
+            .setTimestamp(new Date());
+
+          await channel.send({ embeds: [embed] }).catch(() => null);
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
 
-        const staff = isTicketStaffMember(guild, member);
-        if (!staff) return safeReply(interaction, { content: "Staff only.", ephemeral: true });
+        if (sub === "claim") {
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const result = await claimTicket(guild, channel, ticket, interaction.user.id);
+          if (!result.ok) return safeEdit(interaction, { content: result.reason });
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle("🛡️ Ticket Claimed")
+            .setDescription(`Claimed by <@${interaction.user.id}>`)
+            .setTimestamp(new Date());
+
+          await channel.send({ embeds: [embed] }).catch(() => null);
+          return safeEdit(interaction, { embeds: [embed] });
+        }
+
+        if (sub === "unclaim") {
+          if (!canUnclaimTicket(guild, member, ticket)) {
+            return safeReply(interaction, { content: "Only the claimer (or Manage Server) can unclaim this ticket.", ephemeral: true });
+          }
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const result = await unclaimTicket(guild, channel, ticket);
+          if (!result.ok) return safeEdit(interaction, { content: result.reason });
+
+          const embed = new EmbedBuilder()
+            .setColor(0xfee75c)
+            .setTitle("🛡️ Ticket Unclaimed")
+            .setDescription(`<@${result.previousId}> released this ticket.`)
+            .setTimestamp(new Date());
+
+          await channel.send({ embeds: [embed] }).catch(() => null);
+          return safeEdit(interaction, { embeds: [embed] });
+        }
+
+        if (sub === "transfer") {
+          if (ticket.claimedById && ticket.claimedById !== interaction.user.id && !member.permissions?.has(PermissionFlagsBits.ManageGuild)) {
+            return safeReply(interaction, { content: "Only the claimer (or Manage Server) can transfer this ticket.", ephemeral: true });
+          }
+          const user = interaction.options.getUser("staff", true);
+          const target = await guild.members.fetch(user.id).catch(() => null);
+          if (!target) return safeReply(interaction, { content: "Member not found.", ephemeral: true });
+
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const result = await transferTicket(guild, channel, ticket, interaction.user.id, target);
+          if (!result.ok) return safeEdit(interaction, { content: result.reason });
+          return safeEdit(interaction, { content: `Ticket transferred to <@${target.id}>.` });
+        }
+
+        if (sub === "assign") {
+          const user = interaction.options.getUser("user", true);
+          const m = await guild.members.fetch(user.id).catch(() => null);
+          if (!m) return safeReply(interaction, { content: "Member not found.", ephemeral: true });
+          if (!isTicketStaffMember(guild, m, ticket)) {
+            return safeReply(interaction, { content: "That user is not staff (missing staff role / Manage Server).", ephemeral: true });
+          }
+
+          ticket.assignedStaffIds.add(user.id);
+          saveTicket(channel.id);
+          await grantTicketAccess(channel, user.id);
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle("✅ Staff Assigned")
+            .setDescription(`Assigned <@${user.id}> to this ticket.`)
+            .setTimestamp(new Date());
+
+          await channel.send({ embeds: [embed] }).catch(() => null);
+          await refreshTicketDashboard(guild).catch(() => null);
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "unassign") {
+          const user = interaction.options.getUser("user", true);
+          ticket.assignedStaffIds.delete(user.id);
+          saveTicket(channel.id);
+          if (ticket.claimedById === user.id) await unclaimTicket(guild, channel, ticket);
+          await revokeTicketAccess(channel, user.id);
+
+          const embed = new EmbedBuilder()
+            .setColor(0xfee75c)
+            .setTitle("⚠️ Staff Unassigned")
+            .setDescription(`Unassigned <@${user.id}> from this ticket.`)
+            .setTimestamp(new Date());
+
+          await channel.send({ embeds: [embed] }).catch(() => null);
+          await refreshTicketDashboard(guild).catch(() => null);
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "transcript") {
+          const allowed = canManageTicket(guild, member, ticket);
+          if (!allowed) return safeReply(interaction, { content: "No access to export this transcript.", ephemeral: true });
+
+          const limit = interaction.options.getInteger("limit") || TRANSCRIPT_MAX_MESSAGES;
+          await safeReply(interaction, { content: "Generating transcript...", ephemeral: true });
+
+          const { count, files } = await buildTicketTranscriptFiles(
+            guild,
+            channel,
+            ticket,
+            Math.min(TRANSCRIPT_MAX_MESSAGES, Math.max(10, limit))
+          );
+
+          const embed = new EmbedBuilder()
+            .setColor(0x57f287)
+            .setTitle("📄 Transcript Ready")
+            .setDescription(`**Messages:** ${count}\nAttached below (HTML + TXT).`)
+            .setTimestamp(new Date());
+
+          return safeEdit(interaction, { embeds: [embed], files, content: "" });
+        }
+      }
+
+      if (interaction.commandName === "ticketconfig") {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+
+        const patch = {};
+        const grace = interaction.options.getInteger("close_grace_minutes");
+        if (grace !== null) patch.ticket_close_grace_minutes = grace;
+        const sla = interaction.options.getInteger("sla_minutes");
+        if (sla !== null) patch.ticket_sla_minutes = sla;
+        const warn = interaction.options.getInteger("inactivity_warn_hours");
+        if (warn !== null) patch.ticket_inactivity_warn_hours = warn;
+        const autoClose = interaction.options.getInteger("auto_close_hours");
+        if (autoClose !== null) patch.ticket_auto_close_hours = autoClose;
+        const feedback = interaction.options.getBoolean("feedback_survey");
+        if (feedback !== null) patch.ticket_feedback_enabled = feedback;
+        const claimLock = interaction.options.getBoolean("claim_lock");
+        if (claimLock !== null) patch.ticket_claim_lock = claimLock;
+        const maxOpen = interaction.options.getInteger("max_open_per_user");
+        if (maxOpen !== null) patch.ticket_max_open_per_user = maxOpen;
+        const cooldown = interaction.options.getInteger("create_cooldown_minutes");
+        if (cooldown !== null) patch.ticket_create_cooldown_minutes = cooldown;
+
+        const s = Object.keys(patch).length ? setSettings(guild.id, patch) : getSettings(guild.id);
+        const embed = new EmbedBuilder()
+          .setColor(Object.keys(patch).length ? 0x57f287 : 0x5865f2)
+          .setTitle(Object.keys(patch).length ? "✅ Ticket Config Updated" : "⚙️ Ticket Config")
+          .setDescription(
+            [
+              `**Close grace period:** ${s.ticket_close_grace_minutes ? `${s.ticket_close_grace_minutes} min` : "(delete immediately)"}`,
+              `**Staff reply SLA:** ${s.ticket_sla_minutes ? `${s.ticket_sla_minutes} min` : "(off)"}`,
+              `**Inactivity warning:** ${s.ticket_inactivity_warn_hours ? `${s.ticket_inactivity_warn_hours} h` : "(off)"}`,
+              `**Auto-close:** ${
+                s.ticket_auto_close_hours
+                  ? `${s.ticket_auto_close_hours} h ${s.ticket_inactivity_warn_hours ? "after the warning" : "of inactivity"}`
+                  : "(off)"
+              }`,
+              `**Claim lock (read-only for other staff):** ${s.ticket_claim_lock ? "ON" : "OFF"}`,
+              `**Feedback survey:** ${s.ticket_feedback_enabled ? "ON" : "OFF"}`,
+              `**Max open tickets per user:** ${s.ticket_max_open_per_user || "(unlimited)"}`,
+              `**Creation cooldown:** ${s.ticket_create_cooldown_minutes ? `${s.ticket_create_cooldown_minutes} min` : "(off)"}`,
+              `**Blacklisted users:** ${getTicketBlacklist(guild.id).length}`,
+            ].join("\n")
+          )
+          .setTimestamp(new Date());
+        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.commandName === "tickettype") {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+        const sub = interaction.options.getSubcommand(true);
+
+        if (sub === "set") {
+          const name = interaction.options.getString("name", true).trim();
+          const id = slugifyTicketTypeName(name);
+          if (!id) return safeReply(interaction, { content: "Type name must contain letters or numbers.", ephemeral: true });
+
+          const existing = getTicketTypes(guild.id).find((t) => t.id === id) || null;
+          if (!existing && getTicketTypes(guild.id).length >= TICKET_TYPE_MAX) {
+            return safeReply(interaction, { content: `You can define at most ${TICKET_TYPE_MAX} ticket types.`, ephemeral: true });
+          }
+
+          const description = interaction.options.getString("description");
+          const category = interaction.options.getChannel("category");
+          const role = interaction.options.getRole("staff_role");
+          const prefixRaw = interaction.options.getString("prefix");
+          const questionsRaw = interaction.options.getString("questions");
+
+          const prefix = prefixRaw !== null ? slugifyTicketTypeName(prefixRaw) : existing?.prefix || id;
+          if (!prefix) return safeReply(interaction, { content: "Prefix must contain letters or numbers.", ephemeral: true });
+          const clash = getTicketTypes(guild.id).find((t) => t.id !== id && t.prefix === prefix);
+          if (clash) return safeReply(interaction, { content: `Prefix \`${prefix}\` is already used by **${clash.name}**.`, ephemeral: true });
+
+          const questions =
+            questionsRaw !== null
+              ? questionsRaw
+                  .split("|")
+                  .map((q) => q.trim())
+                  .filter(Boolean)
+                  .slice(0, TICKET_TYPE_MAX_QUESTIONS)
+              : existing?.questions || [];
+
+          const type = upsertTicketType(guild.id, {
+            id,
+            name: clampText(name, 50),
+            description: description !== null ? description : existing?.description || "",
+            category_id: category ? category.id : existing?.category_id || null,
+            staff_role_id: role ? role.id : existing?.staff_role_id || null,
+            prefix,
+            questions,
+          });
+
+          const embed = new EmbedBuilder()
+            .setColor(0x57f287)
+            .setTitle(existing ? "✅ Ticket Type Updated" : "✅ Ticket Type Created")
+            .setDescription(
+              [
+                `**Name:** ${type.name}`,
+                `**Category:** ${type.category_id ? `<#${type.category_id}>` : "(default)"}`,
+                `**Staff Role:** ${type.staff_role_id ? `<@&${type.staff_role_id}>` : "(default)"}`,
+                `**Prefix:** \`${type.prefix}-0001\``,
+                `**Questions:** ${type.questions.length ? "" : "(default)"}`,
+                ...type.questions.map((q, i) => `${i + 1}. ${clampText(q, 100)}`),
+                "",
+                "Re-post **/panel** to show the updated menu.",
+              ].join("\n")
+            )
+            .setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "remove") {
+          const removed = removeTicketType(guild.id, interaction.options.getString("name", true));
+          if (!removed) return safeReply(interaction, { content: "Ticket type not found.", ephemeral: true });
+          const embed = new EmbedBuilder()
+            .setColor(0xfee75c)
+            .setTitle("⚠️ Ticket Type Removed")
+            .setDescription(`**${removed.name}** removed. Existing tickets of this type stay open.`)
+            .setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "list") {
+          const types = getTicketTypes(guild.id);
+          const lines = types.length
+            ? types.map(
+                (t) =>
+                  `**${t.name}** • \`${t.prefix}\` • ${t.category_id ? `<#${t.category_id}>` : "(default category)"} • ${
+                    t.staff_role_id ? `<@&${t.staff_role_id}>` : "(default staff)"
+                  } • ${t.questions.length || DEFAULT_INTAKE_QUESTIONS.length} question(s)`
+              )
+            : ["No ticket types defined. Use **/tickettype set**."];
+          const embed = new EmbedBuilder().setColor(0x5865f2).setTitle("🎫 Ticket Types").setDescription(lines.join("\n")).setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+      }
+
+      if (interaction.commandName === "bugconfig") {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+
+        const patch = {};
+        const references = interaction.options.getBoolean("references");
+        if (references !== null) patch.bug_references_enabled = references;
+        const cooldown = interaction.options.getInteger("reference_cooldown_seconds");
+        if (cooldown !== null) patch.bug_reference_cooldown_seconds = cooldown;
+
+        const s = Object.keys(patch).length ? setSettings(guild.id, patch) : getSettings(guild.id);
+        const embed = new EmbedBuilder()
+          .setColor(Object.keys(patch).length ? 0x57f287 : 0x5865f2)
+          .setTitle(Object.keys(patch).length ? "✅ Bug Config Updated" : "⚙️ Bug Config")
+          .setDescription(
+            [
+              `**Inline references (bug#42):** ${s.bug_references_enabled ? "ON" : "OFF"}${
+                RUNTIME_MESSAGE_CONTENT_INTENT ? "" : " (needs the Message Content intent)"
+              }`,
+              `**Same bug again in a channel after:** ${s.bug_reference_cooldown_seconds ? `${s.bug_reference_cooldown_seconds}s` : "(no wait)"}`,
+              `**Weekly digest:** ${s.bug_digest_enabled ? "ON" : "OFF"}`,
+            ].join("\n")
+          )
+          .setTimestamp(new Date());
+        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.commandName === "bugstatus") {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+        const sub = interaction.options.getSubcommand(true);
 
-        if (sub === "add") {
-          const user = interaction.options.getUser("user", true);
-          if (user.bot) return safeReply(interaction, { content: "You cannot add a bot.", ephemeral: true });
+        if (sub === "set") {
+          const name = normalizeBugStatusName(interaction.options.getString("name", true));
+          if (!BUG_STATUS_NAME_RE.test(name)) {
+            return safeReply(interaction, { content: "Status names use 2-20 letters, digits or _ and start with a letter.", ephemeral: true });
+          }
+          const existing = getBugStatusDef(guild.id, name);
+          if (!existing && getBugStatuses(guild.id).length >= BUG_STATUS_MAX) {
+            return safeReply(interaction, { content: `You can define at most ${BUG_STATUS_MAX} statuses.`, ephemeral: true });
+          }
 
-          await grantTicketAccess(channel, user.id);
-          ticket.addedUserIds.add(user.id);
+          const colorRaw = interaction.options.getString("color");
+          const color = colorRaw !== null ? parseHexColor(colorRaw) : existing?.color ?? 0x5865f2;
+          if (color === null) return safeReply(interaction, { content: "Colour must be a hex value like `#57f287`.", ephemeral: true });
+          const emojiRaw = interaction.options.getString("emoji");
+          const emoji = emojiRaw !== null ? parseStatusEmoji(emojiRaw) : existing?.emoji || "🔹";
+          if (emoji === null) return safeReply(interaction, { content: "Emoji must be a single emoji or a custom emoji like `<:name:id>`.", ephemeral: true });
+          const closed = interaction.options.getBoolean("closed");
+          if (name === "OPEN" && closed) return safeReply(interaction, { content: "OPEN cannot be a closed status.", ephemeral: true });
+
+          const def = upsertBugStatus(guild.id, {
+            name,
+            emoji,
+            color,
+            closed: closed !== null ? closed : existing?.closed || false,
+          });
+          const requireNote = interaction.options.getBoolean("require_note");
+          if (requireNote !== null) setBugNoteRequired(guild.id, name, requireNote);
+          await refreshBugBoard(guild).catch(() => null);
 
           const embed = new EmbedBuilder()
-            .setColor(0x57f287)
-            .setTitle("✅ User Added")
-            .setDescription(`Added <@${user.id}> to this ticket.`)
+            .setColor(def.color)
+            .setTitle(existing ? "✅ Bug Status Updated" : "✅ Bug Status Added")
+            .setDescription(describeBugStatus(guild.id, def))
             .setTimestamp(new Date());
-
-          await channel.send({ embeds: [embed] }).catch(() => null);
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
 
         if (sub === "remove") {
-          const user = interaction.options.getUser("user", true);
+          const name = normalizeBugStatusName(interaction.options.getString("name", true));
+          const error = removeBugStatus(guild.id, name);
+          if (error) return safeReply(interaction, { content: error, ephemeral: true });
+          await refreshBugBoard(guild).catch(() => null);
+          const embed = new EmbedBuilder().setColor(0xfee75c).setTitle("🗑️ Bug Status Removed").setDescription(`**${name}**`).setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
 
-          await revokeTicketAccess(channel, user.id);
-          ticket.addedUserIds.delete(user.id);
-          ticket.assignedStaffIds.delete(user.id);
+        if (sub === "transitions") {
+          const name = normalizeBugStatusName(interaction.options.getString("name", true));
+          if (!getBugStatusDef(guild.id, name)) return safeReply(interaction, { content: `Status **${name}** does not exist.`, ephemeral: true });
+
+          const raw = interaction.options.getString("to", true).trim();
+          let to = null;
+          if (raw.toLowerCase() === "none") to = [];
+          else if (raw.toLowerCase() !== "any") {
+            to = [...new Set(raw.split(",").map(normalizeBugStatusName).filter(Boolean))];
+            const unknown = to.filter((st) => !getBugStatusDef(guild.id, st));
+            if (unknown.length) return safeReply(interaction, { content: `Unknown status(es): ${unknown.join(", ")}.`, ephemeral: true });
+          }
+          setBugTransitions(guild.id, name, to);
 
           const embed = new EmbedBuilder()
-            .setColor(0xfee75c)
-            .setTitle("⚠️ User Removed")
-            .setDescription(
-              [
-                `Removed <@${user.id}> from this ticket.`,
-                "If they still have access through a role overwrite, remove that role or adjust permissions.",
-              ].join("\n")
-            )
+            .setColor(0x57f287)
+            .setTitle("✅ Bug Transitions Updated")
+            .setDescription(describeBugStatus(guild.id, getBugStatusDef(guild.id, name)))
             .setTimestamp(new Date());
-
-          await channel.send({ embeds: [embed] }).catch(() => null);
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
 
-        if (sub === "claim") {
-          ticket.assignedStaffIds.add(interaction.user.id);
-          await grantTicketAccess(channel, interaction.user.id);
-
+        if (sub === "list") {
           const embed = new EmbedBuilder()
             .setColor(0x5865f2)
-            .setTitle("🛡️ Ticket Claimed")
-            .setDescription(`Claimed by <@${interaction.user.id}>`)
+            .setTitle("🐞 Bug Workflow")
+            .setDescription(getBugWorkflow(guild.id).statuses.map((def) => describeBugStatus(guild.id, def)).join("\n"))
+            .setFooter({ text: "→ lists the statuses each one may move to" })
             .setTimestamp(new Date());
-
-          await channel.send({ embeds: [embed] }).catch(() => null);
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
 
-        if (sub === "assign") {
-          const user = interaction.options.getUser("user", true);
-          const m = await guild.members.fetch(user.id).catch(() => null);
-          if (!m) return safeReply(interaction, { content: "Member not found.", ephemeral: true });
-          if (!isTicketStaffMember(guild, m)) {
-            return safeReply(interaction, { content: "That user is not staff (missing staff role / Manage Server).", ephemeral: true });
+        if (sub === "reset") {
+          const stranded = Array.from(getBugStore(guild.id).items.values()).filter((b) => !DEFAULT_BUG_STATUSES.some((st) => st.name === b.status));
+          if (stranded.length) {
+            return safeReply(interaction, {
+              content: `${stranded.length} bug(s) use custom statuses (e.g. #${stranded[0].id} is **${stranded[0].status}**). Move them first.`,
+              ephemeral: true,
+            });
           }
+          setSettings(guild.id, { bug_workflow: null });
+          await refreshBugBoard(guild).catch(() => null);
+          const embed = new EmbedBuilder().setColor(0xfee75c).setTitle("♻️ Bug Workflow Reset").setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+      }
 
-          ticket.assignedStaffIds.add(user.id);
-          await grantTicketAccess(channel, user.id);
+      if (interaction.commandName === "bugtemplate") {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+        const sub = interaction.options.getSubcommand(true);
 
-          const embed = new EmbedBuilder()
+        const buildTemplateEmbed = (title) =>
+          new EmbedBuilder()
             .setColor(0x5865f2)
-            .setTitle("✅ Staff Assigned")
-            .setDescription(`Assigned <@${user.id}> to this ticket.`)
+            .setTitle(title)
+            .setDescription(
+              [
+                ...getBugTemplate(guild.id).map((f, i) => `${i + 1}. **${f.label}**${f.required ? "" : " (optional)"}`),
+                "",
+                "**Text template for channel posts:**",
+                `\`\`\`\n${buildBugTemplateText(guild.id)}\n\`\`\``,
+              ].join("\n")
+            )
             .setTimestamp(new Date());
 
-          await channel.send({ embeds: [embed] }).catch(() => null);
-          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        if (sub === "set") {
+          const parsed = parseBugTemplateSpec(interaction.options.getString("fields", true));
+          if (parsed.error) return safeReply(interaction, { content: parsed.error, ephemeral: true });
+          setSettings(guild.id, { bug_report_template: parsed.fields });
+          return safeReply(interaction, { embeds: [buildTemplateEmbed("✅ Bug Template Updated")], ephemeral: true });
         }
 
-        if (sub === "unassign") {
-          const user = interaction.options.getUser("user", true);
-          ticket.assignedStaffIds.delete(user.id);
-          await revokeTicketAccess(channel, user.id);
+        if (sub === "show") {
+          if (interaction.options.getBoolean("post")) {
+            const s = getSettings(guild.id);
+            const ch = s.bug_input_channel_id ? await guild.channels.fetch(s.bug_input_channel_id).catch(() => null) : null;
+            if (!ch?.isTextBased()) return safeReply(interaction, { content: "Bug input channel is not set. Run **/setbugchannels** first.", ephemeral: true });
+            const posted = await ch
+              .send({
+                embeds: [
+                  new EmbedBuilder()
+                    .setColor(0xfee75c)
+                    .setTitle("🐞 How to Report a Bug")
+                    .setDescription(`Copy this template into your message and fill it in. Attach screenshots or logs to the same message.\n\`\`\`\n${buildBugTemplateText(guild.id)}\n\`\`\``),
+                ],
+              })
+              .catch(() => null);
+            if (!posted) return safeReply(interaction, { content: "Could not post in the bug input channel.", ephemeral: true });
+          }
+          return safeReply(interaction, { embeds: [buildTemplateEmbed("🐞 Bug Report Template")], ephemeral: true });
+        }
+
+        if (sub === "reset") {
+          setSettings(guild.id, { bug_report_template: null });
+          return safeReply(interaction, { embeds: [buildTemplateEmbed("♻️ Bug Template Reset")], ephemeral: true });
+        }
+      }
+
+      if (interaction.commandName === "bugtracker") {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+        const sub = interaction.options.getSubcommand(true);
+        if (sub !== "status" && !isBugTrackerConfigured()) {
+          return safeReply(interaction, { content: "The tracker integration is not configured on this bot (BUG_TRACKER_TOKEN).", ephemeral: true });
+        }
 
+        if (sub === "link") {
+          const repo = interaction.options.getString("repo", true).trim().replace(/^\/+|\/+$/g, "");
+          if (!/^(\d+|[\w.-]+(\/[\w.-]+)+)$/.test(repo)) return safeReply(interaction, { content: "Use `owner/repo` or `group/project`.", ephemeral: true });
+          setSettings(guild.id, { bug_tracker_repo: repo });
           const embed = new EmbedBuilder()
-            .setColor(0xfee75c)
-            .setTitle("⚠️ Staff Unassigned")
-            .setDescription(`Unassigned <@${user.id}> from this ticket.`)
+            .setColor(0x57f287)
+            .setTitle("✅ Issue Tracker Linked")
+            .setDescription(`New bugs will open issues in **${repo}**.\nUse **/bugtracker push** for existing bugs.`)
             .setTimestamp(new Date());
-
-          await channel.send({ embeds: [embed] }).catch(() => null);
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
 
-        if (sub === "transcript") {
-          const allowed = canManageTicket(guild, member, ticket);
-          if (!allowed) return safeReply(interaction, { content: "No access to export this transcript.", ephemeral: true });
-
-          const limit = interaction.options.getInteger("limit") || 200;
-          await safeReply(interaction, { content: "Generating transcript...", ephemeral: true });
-
-          const text = await buildTicketTranscript(channel, Math.min(200, Math.max(10, limit)));
-          const file = new AttachmentBuilder(Buffer.from(text, "utf8"), { name: `ticket-${channel.id}-transcript.txt` });
+        if (sub === "unlink") {
+          setSettings(guild.id, { bug_tracker_repo: null });
+          return safeReply(interaction, { content: "Issue tracker unlinked. Existing issues are no longer synced.", ephemeral: true });
+        }
 
+        if (sub === "status") {
+          const bugs = Array.from(getBugStore(guild.id).items.values());
           const embed = new EmbedBuilder()
-            .setColor(0x57f287)
-            .setTitle("📄 Transcript Ready")
-            .setDescription("Attached below.")
+            .setColor(0x5865f2)
+            .setTitle("🔗 Issue Tracker")
+            .setDescription(
+              [
+                `**Provider:** ${BUG_TRACKER_PROVIDER}${isBugTrackerConfigured() ? "" : " (not configured)"}`,
+                `**API:** ${BUG_TRACKER_BASE_URL}`,
+                `**Repository:** ${getSettings(guild.id).bug_tracker_repo || "(not linked)"}`,
+                `**Webhook:** \`POST /webhooks/bug-tracker\`${BUG_TRACKER_WEBHOOK_SECRET ? "" : " (disabled: set BUG_TRACKER_WEBHOOK_SECRET)"}`,
+                `**Linked bugs:** ${bugs.filter((b) => b.tracker).length}/${bugs.length}`,
+              ].join("\n")
+            )
             .setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
 
-          return safeEdit(interaction, { embeds: [embed], files: [file], content: "" });
+        if (sub === "push") {
+          const id = interaction.options.getInteger("id", true);
+          const bug = getBug(guild.id, id);
+          if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+          if (bug.tracker) return safeReply(interaction, { content: `Bug #${id} is already linked: ${bug.tracker.url}`, ephemeral: true });
+          if (!getBugTrackerRepo(guild.id)) return safeReply(interaction, { content: "Link a repository first with **/bugtracker link**.", ephemeral: true });
+
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const link = await createTrackerIssueAndLog(guild, bug);
+          if (!link) return safeEdit(interaction, { content: "Could not create the issue. See the log channel for details." });
+          if (isBugClosedStatus(guild.id, bug.status)) await setTrackerIssueState(link, false).catch(() => null);
+          return safeEdit(interaction, { content: `Bug #${id} → ${link.url}` });
         }
       }
 
@@ -1497,6 +5989,30 @@ function wireClientEvents(c) {
         if (target.bot) return safeReply(interaction, { content: "You cannot vouch for a bot.", ephemeral: true });
         if (target.id === interaction.user.id) return safeReply(interaction, { content: "You cannot vouch for yourself.", ephemeral: true });
 
+        const check = checkVouchAllowed(guild, interaction.member, target.id);
+        if (!check.ok) {
+          const rejected = new EmbedBuilder().setColor(0xed4245).setTitle("🚫 Vouch Not Added").setDescription(check.reason).setTimestamp(new Date());
+          await safeReply(interaction, { embeds: [rejected], ephemeral: true });
+          await sendLog(
+            guild,
+            new EmbedBuilder()
+              .setColor(0xfee75c)
+              .setTitle("🚫 Vouch Rejected")
+              .setDescription(
+                [
+                  `**From:** <@${interaction.user.id}>`,
+                  `**To:** <@${target.id}>`,
+                  `**Rule:** ${check.code}`,
+                  check.chain ? `**Chain:** ${[...check.chain, target.id].map((id) => `<@${id}>`).join(" → ")}` : null,
+                ]
+                  .filter(Boolean)
+                  .join("\n")
+              )
+              .setTimestamp(new Date())
+          );
+          return;
+        }
+
         const id = addVouch(guild.id, interaction.user.id, target.id, msg);
         const stats = getVouchStats(guild.id, target.id);
 
@@ -1527,6 +6043,40 @@ function wireClientEvents(c) {
         return safeReply(interaction, { embeds: [embed], allowedMentions: { users: [interaction.user.id, target.id] } });
       }
 
+      if (interaction.commandName === "vouchconfig") {
+        if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+
+        const patch = {};
+        const pairDays = interaction.options.getInteger("pair_cooldown_days");
+        if (pairDays !== null) patch.vouch_pair_cooldown_days = pairDays;
+        const accountDays = interaction.options.getInteger("min_account_age_days");
+        if (accountDays !== null) patch.vouch_min_account_age_days = accountDays;
+        const memberDays = interaction.options.getInteger("min_member_age_days");
+        if (memberDays !== null) patch.vouch_min_member_age_days = memberDays;
+        const cap = interaction.options.getInteger("daily_cap");
+        if (cap !== null) patch.vouch_daily_cap = cap;
+        const rings = interaction.options.getBoolean("ring_detection");
+        if (rings !== null) patch.vouch_ring_detection = rings;
+
+        const s = Object.keys(patch).length ? setSettings(guild.id, patch) : getSettings(guild.id);
+        const embed = new EmbedBuilder()
+          .setColor(Object.keys(patch).length ? 0x57f287 : 0x5865f2)
+          .setTitle(Object.keys(patch).length ? "✅ Vouch Config Updated" : "⚙️ Vouch Config")
+          .setDescription(
+            [
+              `**Same pair again:** ${
+                s.vouch_pair_cooldown_days > 0 ? `after ${s.vouch_pair_cooldown_days} day(s)` : s.vouch_pair_cooldown_days < 0 ? "never (one vouch per pair)" : "(off)"
+              }`,
+              `**Minimum account age:** ${s.vouch_min_account_age_days ? `${s.vouch_min_account_age_days} day(s)` : "(off)"}`,
+              `**Minimum server membership:** ${s.vouch_min_member_age_days ? `${s.vouch_min_member_age_days} day(s)` : "(off)"}`,
+              `**Daily cap per user:** ${s.vouch_daily_cap || "(unlimited)"}`,
+              `**Ring detection:** ${s.vouch_ring_detection ? "ON" : "OFF"}`,
+            ].join("\n")
+          )
+          .setTimestamp(new Date());
+        return safeReply(interaction, { embeds: [embed], ephemeral: true });
+      }
+
       if (interaction.commandName === "checkvouch") {
         const target = interaction.options.getUser("user") || interaction.user;
         const stats = getVouchStats(guild.id, target.id);
@@ -1602,9 +6152,14 @@ function wireClientEvents(c) {
 
         if (sub === "board") {
           if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
-          await refreshBugBoard(guild).catch(() => null);
-          const embed = new EmbedBuilder().setColor(0x57f287).setTitle("✅ Bug Board Refreshed").setTimestamp(new Date());
-          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const cards = await syncBugCards(guild).catch(() => 0);
+          const embed = new EmbedBuilder()
+            .setColor(0x57f287)
+            .setTitle("✅ Bug Board Refreshed")
+            .setDescription(`Synced **${cards}** bug card(s).`)
+            .setTimestamp(new Date());
+          return safeEdit(interaction, { embeds: [embed] });
         }
 
         if (sub === "view") {
@@ -1612,43 +6167,20 @@ function wireClientEvents(c) {
           const bug = getBug(guild.id, id);
           if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
 
-          const commentPreview = bug.comments.slice(-3).map((c) => `• <@${c.byId}>: ${clampText(c.text, 120)}`);
-          const embed = new EmbedBuilder()
-            .setColor(0xfee75c)
-            .setTitle(`🐞 Bug #${bug.id} ${bugStatusEmoji(bug.status)} ${bug.status}`)
-            .setDescription(
-              [
-                `**Title:** ${clampText(bug.title, 200)}`,
-                `**Reporter:** <@${bug.reporterId}>`,
-                bug.assignedToId ? `**Assigned:** <@${bug.assignedToId}>` : "**Assigned:** (none)",
-                "",
-                clampText(bug.description, 1500),
-                "",
-                bug.sourceMessageUrl ? `**Link:** ${bug.sourceMessageUrl}` : null,
-                bug.lastNote ? `**Note:** ${clampText(bug.lastNote, 900)}` : null,
-                bug.comments.length ? `**Comments (${bug.comments.length}):**` : null,
-                bug.comments.length ? commentPreview.join("\n") : null,
-              ]
-                .filter(Boolean)
-                .join("\n")
-            )
-            .setTimestamp(new Date(bug.updatedAtMs));
-
-          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+          return safeReply(interaction, { embeds: [buildBugDetailEmbed(bug, { timeline: true })], ephemeral: true });
         }
 
         if (sub === "list") {
-          const store = getBugStore(guild.id);
-          const all = Array.from(store.items.values()).sort((a, b) => b.id - a.id).slice(0, 10);
-          const lines = all.length ? all.map(buildBugCardLine) : ["No bug reports yet."];
-
-          const embed = new EmbedBuilder()
-            .setColor(0xfee75c)
-            .setTitle("🐞 Recent Bugs (Last 10)")
-            .setDescription(lines.join("\n\n"))
-            .setTimestamp(new Date());
-
-          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+          const status = normalizeBugStatusName(interaction.options.getString("status")) || null;
+          if (status && !getBugStatusDef(guild.id, status)) return safeReply(interaction, { content: `Unknown status **${status}**.`, ephemeral: true });
+          const state = defaultBugListState({
+            sort: interaction.options.getString("sort") || "newest",
+            status,
+            assigneeId: interaction.options.getUser("assignee")?.id || null,
+            reporterId: interaction.options.getUser("reporter")?.id || null,
+            label: normalizeBugLabel(interaction.options.getString("label")) || null,
+          });
+          return safeReply(interaction, { ...buildBugListView(guild.id, state), ephemeral: true });
         }
 
         if (sub === "search") {
@@ -1657,7 +6189,7 @@ function wireClientEvents(c) {
           const all = Array.from(store.items.values()).sort((a, b) => b.id - a.id);
 
           const matches = all.filter((b) => {
-            const hay = `${b.title}\n${b.description}\n${b.lastNote}`.toLowerCase();
+            const hay = `${b.title}\n${b.description}\n${b.lastNote}\n${b.component || ""}\n${(b.labels || []).join(" ")}`.toLowerCase();
             return hay.includes(q);
           });
 
@@ -1677,20 +6209,23 @@ function wireClientEvents(c) {
           if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
 
           const id = interaction.options.getInteger("id", true);
-          const status = interaction.options.getString("status", true);
+          const status = normalizeBugStatusName(interaction.options.getString("status", true));
           const assign = interaction.options.getUser("assign", false);
           const note = interaction.options.getString("note", false) || "";
 
-          if (!BUG_STATUSES.includes(status)) return safeReply(interaction, { content: "Invalid status.", ephemeral: true });
+          const current = getBug(guild.id, id);
+          if (!current) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+          const error = validateBugStatusChange(guild.id, current, status, note);
+          if (error) return safeReply(interaction, { content: error, ephemeral: true });
 
-          const updated = setBugStatus(guild.id, id, status, assign ? assign.id : undefined, note);
+          const updated = setBugStatus(guild.id, id, status, assign ? assign.id : undefined, note, interaction.user.id);
           if (!updated) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
 
-          await refreshBugBoard(guild).catch(() => null);
+          await refreshBugBoard(guild, updated).catch(() => null);
           await announceBugUpdate(guild, updated, interaction.user.id).catch(() => null);
 
           const embed = new EmbedBuilder()
-            .setColor(status === "RESOLVED" ? 0x57f287 : 0x5865f2)
+            .setColor(bugStatusColor(status, guild.id))
             .setTitle("✅ Bug Updated")
             .setDescription(`Bug **#${id}** is now **${status}**.`)
             .setTimestamp(new Date());
@@ -1707,8 +6242,9 @@ function wireClientEvents(c) {
           const updated = addBugComment(guild.id, id, interaction.user.id, text);
           if (!updated) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
 
-          await refreshBugBoard(guild).catch(() => null);
-          await announceBugUpdate(guild, updated, interaction.user.id, "Comment added").catch(() => null);
+          await refreshBugBoard(guild, updated).catch(() => null);
+          await mirrorBugCommentToThread(guild, updated, updated.comments[updated.comments.length - 1]).catch(() => null);
+          await announceBugUpdate(guild, updated, interaction.user.id, `Comment: ${text}`).catch(() => null);
 
           const embed = new EmbedBuilder().setColor(0x5865f2).setTitle("💬 Comment Added").setDescription(`Bug **#${id}** updated.`).setTimestamp(new Date());
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
@@ -1720,15 +6256,278 @@ function wireClientEvents(c) {
           const id = interaction.options.getInteger("id", true);
           const note = interaction.options.getString("note", false) || "";
 
-          const updated = reopenBug(guild.id, id, note);
+          const current = getBug(guild.id, id);
+          if (!current) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+          const error = validateBugStatusChange(guild.id, current, "OPEN", note);
+          if (error) return safeReply(interaction, { content: error, ephemeral: true });
+
+          const original = current.duplicateOfId ? getBug(guild.id, current.duplicateOfId) : null;
+          const updated = reopenBug(guild.id, id, note, interaction.user.id);
           if (!updated) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
 
-          await refreshBugBoard(guild).catch(() => null);
+          await refreshBugBoard(guild, updated).catch(() => null);
+          if (original) await ensureBugCard(guild, original).catch(() => null);
           await announceBugUpdate(guild, updated, interaction.user.id, "Bug reopened").catch(() => null);
 
           const embed = new EmbedBuilder().setColor(0xfee75c).setTitle("♻️ Bug Reopened").setDescription(`Bug **#${id}** is now **OPEN**.`).setTimestamp(new Date());
           return safeReply(interaction, { embeds: [embed], ephemeral: true });
         }
+
+        if (sub === "stats") {
+          return safeReply(interaction, { embeds: [buildBugStatsEmbed(guild, interaction.options.getString("period") || "7d")], ephemeral: true });
+        }
+
+        if (sub === "digest") {
+          if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+          const enabled = interaction.options.getBoolean("enabled", true);
+          setSettings(guild.id, { bug_digest_enabled: enabled, bug_digest_last_ms: enabled ? nowMs() : 0 });
+          const channelId = getSettings(guild.id).bug_updates_channel_id;
+          const where = channelId ? `<#${channelId}>` : "the updates channel (not set: use **/setbugchannels**)";
+          return safeReply(interaction, { content: enabled ? `Weekly bug digest on. The first one arrives in 7 days in ${where}.` : "Weekly bug digest off.", ephemeral: true });
+        }
+
+        if (sub === "history") {
+          const id = interaction.options.getInteger("id", true);
+          const bug = getBug(guild.id, id);
+          if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle(`📜 Bug #${bug.id} History`)
+            .setDescription(clampText(buildBugTimelineLines(bug, 20).join("\n"), 4000))
+            .setFooter({ text: `${getBugHistory(bug).length} event(s) • full history attached` })
+            .setTimestamp(new Date());
+          const file = buildBugHistoryFile(bug, interaction.options.getString("format") || "text");
+          return safeReply(interaction, { embeds: [embed], files: [file], ephemeral: true });
+        }
+
+        if (sub === "export") {
+          const format = interaction.options.getString("format", true);
+          const status = normalizeBugStatusName(interaction.options.getString("status")) || null;
+          if (status && !getBugStatusDef(guild.id, status)) return safeReply(interaction, { content: `Unknown status **${status}**.`, ephemeral: true });
+          const sinceRaw = interaction.options.getString("since");
+          const sinceMs = parseSince(sinceRaw);
+          if (sinceRaw && sinceMs === null) return safeReply(interaction, { content: "Invalid `since`. Use e.g. `7d`, `24h` or `2025-01-31`.", ephemeral: true });
+
+          const bugs = selectBugsForExport(guild.id, { status, sinceMs });
+          const filterText = [status ? `status ${status}` : null, sinceMs ? `updated since ${new Date(sinceMs).toISOString()}` : null].filter(Boolean).join(", ");
+          const file = buildBugExportFile(guild, bugs, format, filterText);
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle("📤 Bug Export")
+            .setDescription([`**Bugs:** ${bugs.length}`, `**Format:** ${format}`, filterText ? `**Filters:** ${filterText}` : null].filter(Boolean).join("\n"))
+            .setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], files: [file], ephemeral: true });
+        }
+
+        if (sub === "import") {
+          if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+          const attachment = interaction.options.getAttachment("file", true);
+          if (attachment.size > BUG_IMPORT_MAX_BYTES) return safeReply(interaction, { content: "That file is too large (max 5 MB).", ephemeral: true });
+
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const text = await fetch(attachment.url)
+            .then((r) => (r.ok ? r.text() : null))
+            .catch(() => null);
+          if (text === null) return safeEdit(interaction, { content: "Could not download the attachment." });
+
+          const parsed = parseBugImport(text, attachment.name);
+          if (parsed.error) return safeEdit(interaction, { content: parsed.error });
+
+          const { imported, skipped } = importBugs(guild.id, parsed.records, interaction.user.id);
+          await refreshBugBoard(guild).catch(() => null);
+
+          const embed = new EmbedBuilder()
+            .setColor(imported.length ? 0x57f287 : 0xfee75c)
+            .setTitle("📥 Bug Import")
+            .setDescription(
+              clampText(
+                [
+                  `**Imported:** ${imported.length}`,
+                  `**Skipped:** ${skipped.length}`,
+                  skipped.length ? skipped.slice(0, 15).map((m) => `• ${m}`).join("\n") : null,
+                  skipped.length > 15 ? `…and ${skipped.length - 15} more` : null,
+                  imported.length ? "Run **/bug board** to post cards for the imported bugs." : null,
+                ]
+                  .filter(Boolean)
+                  .join("\n"),
+                4000
+              )
+            )
+            .setTimestamp(new Date());
+          await sendLog(
+            guild,
+            new EmbedBuilder()
+              .setColor(0x5865f2)
+              .setTitle("📥 Bugs Imported")
+              .setDescription(`**By:** <@${interaction.user.id}>\n**File:** ${clampText(attachment.name, 100)}\n**Imported:** ${imported.length} • **Skipped:** ${skipped.length}`)
+              .setTimestamp(new Date())
+          );
+          return safeEdit(interaction, { embeds: [embed] });
+        }
+
+        if (sub === "edit") {
+          const id = interaction.options.getInteger("id", true);
+          const bug = getBug(guild.id, id);
+          if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+          if (bug.reporterId !== interaction.user.id && !hasManageGuild(interaction)) {
+            return safeReply(interaction, { content: "Only the reporter or staff can edit this bug.", ephemeral: true });
+          }
+          return interaction.showModal(buildBugEditModal(bug)).catch(() => null);
+        }
+
+        if (sub === "delete") {
+          if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+          const id = interaction.options.getInteger("id", true);
+
+          if (interaction.options.getBoolean("permanent")) {
+            if (!purgeBug(guild.id, id)) return safeReply(interaction, { content: `Bug #${id} is not in the trash. Delete it normally first.`, ephemeral: true });
+            await sendLog(
+              guild,
+              new EmbedBuilder().setColor(0xed4245).setTitle("🗑️ Bug Erased").setDescription(`**Bug:** #${id}\n**By:** <@${interaction.user.id}>`).setTimestamp(new Date())
+            );
+            return safeReply(interaction, { content: `Bug #${id} was erased permanently.`, ephemeral: true });
+          }
+
+          if (!getBug(guild.id, id)) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const bug = await moveBugToTrash(guild, id, interaction.user.id, interaction.options.getString("reason") || "");
+          const embed = new EmbedBuilder()
+            .setColor(0xed4245)
+            .setTitle("🗑️ Bug Moved to Trash")
+            .setDescription(`**#${bug.id}** ${clampText(bug.title, 100)}\nUse **/bug restore id:${bug.id}** to bring it back.`)
+            .setTimestamp(new Date());
+          return safeEdit(interaction, { embeds: [embed] });
+        }
+
+        if (sub === "restore") {
+          if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+          const id = interaction.options.getInteger("id", true);
+          if (!getBugStore(guild.id).trash.has(id)) return safeReply(interaction, { content: `Bug #${id} is not in the trash.`, ephemeral: true });
+
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          const bug = await restoreBugFromTrash(guild, id, interaction.user.id);
+          const embed = new EmbedBuilder()
+            .setColor(0x57f287)
+            .setTitle("♻️ Bug Restored")
+            .setDescription(`**#${bug.id}** ${clampText(bug.title, 100)} • ${bugStatusEmoji(bug.status, guild.id)} ${bug.status}`)
+            .setTimestamp(new Date());
+          return safeEdit(interaction, { embeds: [embed] });
+        }
+
+        if (sub === "trash") {
+          if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+          const trashed = Array.from(getBugStore(guild.id).trash.values()).sort((a, b) => b.deletedAtMs - a.deletedAtMs);
+          const lines = trashed
+            .slice(0, 20)
+            .map(
+              (b) =>
+                `**#${b.id}** ${clampText(b.title, 60)} • <t:${Math.floor(b.deletedAtMs / 1000)}:R> by ${b.deletedById ? `<@${b.deletedById}>` : "source deletion"}${
+                  b.deleteReason ? ` — ${clampText(b.deleteReason, 60)}` : ""
+                }`
+            );
+          const embed = new EmbedBuilder()
+            .setColor(0x99aab5)
+            .setTitle(`🗑️ Bug Trash (${trashed.length})`)
+            .setDescription(lines.join("\n") || "The trash is empty.")
+            .setTimestamp(new Date());
+          if (trashed.length > lines.length) embed.setFooter({ text: `Showing the ${lines.length} most recent` });
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "watch" || sub === "unwatch") {
+          const id = interaction.options.getInteger("id", true);
+          const bug = setBugWatching(guild.id, id, interaction.user.id, sub === "watch");
+          if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+          await refreshBugBoard(guild, bug).catch(() => null);
+          return safeReply(interaction, { content: describeBugWatchChange(guild.id, interaction.user.id, id, sub === "watch"), ephemeral: true });
+        }
+
+        if (sub === "notifications") {
+          const enabled = interaction.options.getBoolean("enabled", true);
+          setBugDmOptOut(guild.id, interaction.user.id, !enabled);
+          const embed = new EmbedBuilder()
+            .setColor(enabled ? 0x57f287 : 0xfee75c)
+            .setTitle(enabled ? "🔔 Bug DMs On" : "🔕 Bug DMs Off")
+            .setDescription(
+              enabled
+                ? "You will get DMs for bugs you report or watch."
+                : "You will not get bug DMs in this server. Your watch list is kept in case you turn them back on."
+            )
+            .setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "duplicate") {
+          if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+
+          const result = markBugDuplicate(guild.id, interaction.options.getInteger("id", true), interaction.options.getInteger("of", true), interaction.user.id);
+          if (!result.ok) return safeReply(interaction, { content: result.reason, ephemeral: true });
+          const { duplicate, original } = result;
+
+          await interaction.deferReply({ ephemeral: true }).catch(() => null);
+          await refreshBugBoard(guild, duplicate).catch(() => null);
+          await refreshBugBoard(guild, original).catch(() => null);
+          await announceBugUpdate(guild, duplicate, interaction.user.id, `Marked as duplicate of #${original.id}`, { notify: false }).catch(() => null);
+          await notifyBugDuplicateReporters(guild, duplicate, original).catch(() => null);
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle("🔁 Duplicate Merged")
+            .setDescription(
+              [
+                `**#${duplicate.id}** closed as a duplicate of **#${original.id}**.`,
+                `**Comments moved:** ${duplicate.comments.length}`,
+                `**Watchers on original:** ${getBugWatcherIds(original).length}`,
+              ].join("\n")
+            )
+            .setTimestamp(new Date());
+          return safeEdit(interaction, { embeds: [embed] });
+        }
+
+        if (["priority", "severity", "component", "label"].includes(sub)) {
+          if (!hasManageGuild(interaction)) return safeReply(interaction, { content: "Manage Server required.", ephemeral: true });
+          const id = interaction.options.getInteger("id", true);
+          const bug = getBug(guild.id, id);
+          if (!bug) return safeReply(interaction, { content: `Bug #${id} not found.`, ephemeral: true });
+
+          const patch = {};
+          let change = "";
+          if (sub === "priority") {
+            patch.priority = interaction.options.getString("priority", true);
+            change = `Priority → ${patch.priority}`;
+          }
+          if (sub === "severity") {
+            patch.severity = interaction.options.getString("severity", true);
+            change = `Severity → ${patch.severity}`;
+          }
+          if (sub === "component") {
+            patch.component = interaction.options.getString("component") || "";
+            change = patch.component ? `Component → ${patch.component}` : "Component cleared";
+          }
+          if (sub === "label") {
+            const action = interaction.options.getString("action", true);
+            const label = normalizeBugLabel(interaction.options.getString("label", true));
+            if (!label) return safeReply(interaction, { content: "Invalid label.", ephemeral: true });
+            const labels = bug.labels || [];
+            if (action === "add" && !labels.includes(label) && labels.length >= BUG_MAX_LABELS) {
+              return safeReply(interaction, { content: `A bug can have at most ${BUG_MAX_LABELS} labels.`, ephemeral: true });
+            }
+            patch.labels = action === "add" ? [...labels, label] : labels.filter((l) => l !== label);
+            change = `Label ${action === "add" ? "added" : "removed"}: ${label}`;
+          }
+
+          const updated = setBugTriage(guild.id, id, patch, interaction.user.id);
+          await refreshBugBoard(guild, updated).catch(() => null);
+          await announceBugUpdate(guild, updated, interaction.user.id, change, { notify: false }).catch(() => null);
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle("✅ Bug Triage Updated")
+            .setDescription([`**Bug:** #${updated.id}`, `**Change:** ${change}`, describeBugTriage(updated) || "(no triage fields set)"].join("\n"))
+            .setTimestamp(new Date());
+          return safeReply(interaction, { embeds: [embed], ephemeral: true });
+        }
       }
 
       if (interaction.commandName === "purge") {
@@ -1764,6 +6563,7 @@ async function startDiscord(messageContent) {
 }
 
 async function main() {
+  initStorage();
   await registerCommands();
 
   try {
@@ -1787,6 +6587,14 @@ async function main() {
   }
 }
 
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => {
+    flushStorage();
+    process.exit(0);
+  });
+}
+process.on("exit", flushStorage);
+
 process.on("unhandledRejection", (err) => {
   const msg = String(err?.message || err || "");
   if (msg.toLowerCase().includes("disallowed intents") && !intentsFallbackUsed) {
@@ -1,5 +1,60 @@
 -- schema.sql
--- Opción B (SIN base de datos): este bot NO usa SQL/DB.
--- Este archivo se mantiene solo porque pediste entregar 3 archivos.
-BEGIN;
-COMMIT;
+-- SQLite schema for the bot (used when STORAGE_DRIVER=sqlite, or "auto" with better-sqlite3 installed).
+-- Requires the better-sqlite3 package: npm install better-sqlite3
+-- Without it the bot falls back to a JSON file in DATA_DIR and logs a warning at startup.
+--
+-- Migrations are applied in order at startup and recorded in schema_migrations.
+-- Never edit an applied migration: append a new "-- migration: N" block instead.
+-- Flexible record fields live in the JSON "data" columns; indexed columns are kept in sync on every write.
+
+-- migration: 1
+CREATE TABLE IF NOT EXISTS guild_settings (
+  guild_id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  updated_at_ms INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS counters (
+  guild_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  value INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (guild_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS tickets (
+  channel_id TEXT PRIMARY KEY,
+  guild_id TEXT NOT NULL,
+  owner_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  created_at_ms INTEGER NOT NULL,
+  closed_at_ms INTEGER NOT NULL DEFAULT 0,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_tickets_guild_status ON tickets (guild_id, status);
+CREATE INDEX IF NOT EXISTS idx_tickets_owner ON tickets (guild_id, owner_id);
+
+CREATE TABLE IF NOT EXISTS vouches (
+  guild_id TEXT NOT NULL,
+  id INTEGER NOT NULL,
+  voucher_id TEXT NOT NULL,
+  vouched_id TEXT NOT NULL,
+  message TEXT NOT NULL DEFAULT '',
+  created_at_ms INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, id)
+);
+CREATE INDEX IF NOT EXISTS idx_vouches_vouched ON vouches (guild_id, vouched_id);
+CREATE INDEX IF NOT EXISTS idx_vouches_voucher ON vouches (guild_id, voucher_id);
+
+CREATE TABLE IF NOT EXISTS bugs (
+  guild_id TEXT NOT NULL,
+  id INTEGER NOT NULL,
+  reporter_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  title TEXT NOT NULL,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (guild_id, id)
+);
+CREATE INDEX IF NOT EXISTS idx_bugs_guild_status ON bugs (guild_id, status);
+CREATE INDEX IF NOT EXISTS idx_bugs_reporter ON bugs (guild_id, reporter_id);